@@ -0,0 +1,53 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * Flush a directory entry so a rename inside it survives a power loss
+ * @param {string} dir - Directory to sync
+ * @returns {Promise<void>}
+ */
+async function syncDirectory(dir) {
+    let handle;
+    try {
+        handle = await fs.open(dir, 'r');
+        await handle.sync();
+    } catch (error) {
+        // Not every platform allows fsync on directories
+    } finally {
+        if (handle) {
+            await handle.close();
+        }
+    }
+}
+
+/**
+ * Replace a file atomically: write a temporary file, fsync it and rename it over the target
+ * @param {string} file - Target file
+ * @param {string|Buffer} data - New file content
+ * @param {Object} [options={}] - Write options
+ * @param {Function} [options.beforeRename] - Async hook run after the data is durable, before the rename
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(file, data, options = {}) {
+    const tempFile = `${file}.tmp`;
+    try {
+        const handle = await fs.open(tempFile, 'w');
+        try {
+            await handle.writeFile(data);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        if (options.beforeRename) {
+            await options.beforeRename();
+        }
+        await fs.rename(tempFile, file);
+        await syncDirectory(path.dirname(file));
+    } catch (error) {
+        await fs.rm(tempFile, { force: true }).catch(() => {});
+        throw error;
+    }
+}
+
+module.exports = { writeFileAtomic, syncDirectory };
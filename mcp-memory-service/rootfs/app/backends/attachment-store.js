@@ -0,0 +1,326 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomic-file');
+const { StorageCipher, EncryptionKeyError } = require('./storage-cipher');
+const { generateMemoryId } = require('./ids');
+
+/**
+ * Files attached to memories, kept under DATA_DIR/attachments
+ *
+ * The attachment list is kept in attachments/attachments.json. File contents are
+ * stored once per SHA-256 hash in attachments/blobs/, so the same file attached
+ * twice takes the space of one, and a blob is removed with its last attachment.
+ * With an encryption key, blobs are stored as encrypted payloads named <hash>.enc.
+ */
+class AttachmentStore {
+    /**
+     * Create an attachment store
+     * @param {Object} options - Attachment options
+     * @param {string} options.dataDir - Directory holding the attachments directory
+     * @param {StorageCipher} [options.cipher] - Cipher for the attachment list and blobs
+     */
+    constructor(options) {
+        this.dir = path.join(options.dataDir, 'attachments');
+        this.blobDir = path.join(this.dir, 'blobs');
+        this.file = path.join(this.dir, 'attachments.json');
+        this.cipher = options.cipher || new StorageCipher();
+        this.attachments = new Map();
+        this.pendingSave = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load the attachment list and bring blobs in line with the encryption key
+     * @returns {Promise<void>}
+     * @throws {Error} If the attachment list is damaged, since the blobs could no longer be found
+     * @throws {EncryptionKeyError} If the list or a blob is encrypted with a key that is not configured
+     */
+    async open() {
+        await fs.mkdir(this.blobDir, { recursive: true });
+        let data;
+        try {
+            data = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+
+        let attachments;
+        try {
+            attachments = JSON.parse(this.cipher.decode(data)).attachments;
+        } catch (error) {
+            if (error instanceof EncryptionKeyError) {
+                throw error;
+            }
+            attachments = null;
+        }
+        if (!Array.isArray(attachments)) {
+            throw new Error(`${this.file} is damaged; fix or remove it to start`);
+        }
+        attachments.forEach(attachment => this.attachments.set(attachment.id, attachment));
+        await this.reencryptBlobs();
+        if (this.cipher.stale) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Rewrite blobs stored in plain text while a key is set, encrypted without one, or encrypted with the previous key
+     * @returns {Promise<void>}
+     */
+    async reencryptBlobs() {
+        const hashes = new Set([...this.attachments.values()].map(attachment => attachment.sha256));
+        let rewritten = 0;
+        for (const hash of hashes) {
+            const encrypted = await this.exists(this.blobFile(hash, true));
+            if (!encrypted && !this.cipher.enabled) {
+                continue;
+            }
+            // decode() marks the shared cipher stale for data under the previous key; check it for this blob alone
+            const wasStale = this.cipher.stale;
+            this.cipher.stale = false;
+            const data = await this.readBlob(hash);
+            const stale = this.cipher.stale || encrypted !== this.cipher.enabled;
+            this.cipher.stale = wasStale || this.cipher.stale;
+            if (data && stale) {
+                await this.writeBlob(hash, data);
+                if (encrypted !== this.cipher.enabled) {
+                    await fs.rm(this.blobFile(hash, encrypted), { force: true });
+                }
+                rewritten++;
+            }
+        }
+        if (rewritten > 0) {
+            console.log(`${this.cipher.enabled ? 'Re-encrypted' : 'Decrypted'} ${rewritten} attachment files`);
+        }
+    }
+
+    /**
+     * Path of a blob file
+     * @param {string} hash - SHA-256 of the content
+     * @param {boolean} [encrypted=this.cipher.enabled] - Whether the blob is stored encrypted
+     * @returns {string}
+     */
+    blobFile(hash, encrypted = this.cipher.enabled) {
+        return path.join(this.blobDir, encrypted ? `${hash}.enc` : hash);
+    }
+
+    /**
+     * Check whether a file exists
+     * @param {string} file - File path
+     * @returns {Promise<boolean>}
+     */
+    async exists(file) {
+        try {
+            await fs.access(file);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Get the attachments of a memory, oldest first
+     * @param {string} memoryId - The memory ID
+     * @returns {Array} Attachments {id, memory_id, filename, content_type, size, sha256, created_at, created_by}
+     */
+    list(memoryId) {
+        return [...this.attachments.values()].filter(attachment => attachment.memory_id === memoryId);
+    }
+
+    /**
+     * Get an attachment
+     * @param {string} id - The attachment ID
+     * @returns {Object|null} The attachment, or null if it does not exist
+     */
+    get(id) {
+        return this.attachments.get(id) || null;
+    }
+
+    /**
+     * Total size of the stored files, counting files attached more than once once
+     * @returns {number} Size in bytes
+     */
+    totalBytes() {
+        const sizes = new Map([...this.attachments.values()].map(attachment => [attachment.sha256, attachment.size]));
+        return [...sizes.values()].reduce((total, size) => total + size, 0);
+    }
+
+    /**
+     * Attach a file to a memory
+     * @param {string} memoryId - The memory ID
+     * @param {Object} file - File {filename, contentType, data}
+     * @param {Object|null} createdBy - Who attached the file {auth_method, user}
+     * @returns {Promise<Object>} The attachment
+     */
+    async add(memoryId, { filename, contentType, data }, createdBy) {
+        const hash = crypto.createHash('sha256').update(data).digest('hex');
+        if (!this.hasBlob(hash)) {
+            await this.writeBlob(hash, data);
+        }
+        const attachment = {
+            id: generateMemoryId(),
+            memory_id: memoryId,
+            filename,
+            content_type: contentType,
+            size: data.length,
+            sha256: hash,
+            created_at: new Date().toISOString(),
+            created_by: createdBy
+        };
+        this.attachments.set(attachment.id, attachment);
+        try {
+            await this.save();
+        } catch (error) {
+            this.attachments.delete(attachment.id);
+            await this.removeUnusedBlobs([hash]);
+            throw error;
+        }
+        return attachment;
+    }
+
+    /**
+     * Check whether an attachment already refers to a blob
+     * @param {string} hash - SHA-256 of the content
+     * @returns {boolean}
+     */
+    hasBlob(hash) {
+        return [...this.attachments.values()].some(attachment => attachment.sha256 === hash);
+    }
+
+    /**
+     * Read the content of an attachment
+     * @param {Object} attachment - The attachment
+     * @returns {Promise<Buffer>} The file content
+     * @throws {Error} If the blob is missing or cannot be decrypted
+     */
+    async read(attachment) {
+        const data = await this.readBlob(attachment.sha256);
+        if (!data) {
+            throw new Error(`File of attachment ${attachment.id} is missing or damaged`);
+        }
+        return data;
+    }
+
+    /**
+     * Read a blob, whether it is stored encrypted or not
+     * @param {string} hash - SHA-256 of the content
+     * @returns {Promise<Buffer|null>} The content, or null if the blob is missing or damaged
+     * @throws {EncryptionKeyError} If the blob is encrypted with a key that is not configured
+     */
+    async readBlob(hash) {
+        try {
+            const payload = await fs.readFile(this.blobFile(hash, true), 'utf8');
+            const decoded = this.cipher.decode(payload);
+            return decoded === null ? null : Buffer.from(decoded, 'base64');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        try {
+            return await fs.readFile(this.blobFile(hash, false));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Atomically write a blob, encrypted when a key is set
+     * @param {string} hash - SHA-256 of the content
+     * @param {Buffer} data - The content
+     * @returns {Promise<void>}
+     */
+    async writeBlob(hash, data) {
+        await writeFileAtomic(this.blobFile(hash), this.cipher.enabled ? this.cipher.encode(data.toString('base64')) : data);
+    }
+
+    /**
+     * Remove an attachment
+     * @param {string} id - The attachment ID
+     * @returns {Promise<boolean>} False if the attachment does not exist
+     */
+    async remove(id) {
+        const attachment = this.get(id);
+        if (!attachment) {
+            return false;
+        }
+        await this.removeAttachments([attachment]);
+        return true;
+    }
+
+    /**
+     * Remove all attachments of a memory
+     * @param {string} memoryId - The memory ID
+     * @returns {Promise<number>} Number of removed attachments
+     */
+    async removeMemory(memoryId) {
+        const attachments = this.list(memoryId);
+        if (attachments.length > 0) {
+            await this.removeAttachments(attachments);
+        }
+        return attachments.length;
+    }
+
+    /**
+     * Remove attachments and save, then delete blobs no other attachment refers to
+     * @param {Array} attachments - Attachments to remove
+     * @returns {Promise<void>}
+     */
+    async removeAttachments(attachments) {
+        attachments.forEach(attachment => this.attachments.delete(attachment.id));
+        try {
+            await this.save();
+        } catch (error) {
+            attachments.forEach(attachment => this.attachments.set(attachment.id, attachment));
+            throw error;
+        }
+        await this.removeUnusedBlobs(attachments.map(attachment => attachment.sha256));
+    }
+
+    /**
+     * Delete blobs that no attachment refers to anymore
+     * @param {string[]} hashes - Hashes of blobs that may have become unused
+     * @returns {Promise<void>}
+     */
+    async removeUnusedBlobs(hashes) {
+        for (const hash of new Set(hashes)) {
+            if (!this.hasBlob(hash)) {
+                await fs.rm(this.blobFile(hash, true), { force: true });
+                await fs.rm(this.blobFile(hash, false), { force: true });
+            }
+        }
+    }
+
+    /**
+     * Atomically write the attachment list, sharing the write with other changes made before it starts
+     * @returns {Promise<void>}
+     */
+    save() {
+        if (!this.pendingSave) {
+            this.pendingSave = this.writeQueue.then(() => {
+                // Later changes start the next write
+                this.pendingSave = null;
+                return writeFileAtomic(this.file, this.cipher.encode(JSON.stringify({ attachments: [...this.attachments.values()] })));
+            });
+            this.writeQueue = this.pendingSave.catch(() => {});
+        }
+        return this.pendingSave;
+    }
+
+    /**
+     * Wait for pending writes
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.writeQueue;
+    }
+}
+
+module.exports = AttachmentStore;
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+/**
+ * Normalize memory content for duplicate detection: trimmed, lowercase, single spaces
+ * @param {string} content - Memory content
+ * @returns {string} Normalized content
+ */
+function normalizeContent(content) {
+    return content.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Hash of the normalized content, equal for memories that only differ in whitespace or case
+ * @param {string} content - Memory content
+ * @returns {string} Hex SHA-256 hash
+ */
+function contentHash(content) {
+    return crypto.createHash('sha256').update(normalizeContent(content)).digest('hex');
+}
+
+module.exports = { normalizeContent, contentHash };
@@ -0,0 +1,100 @@
+const { tokenize } = require('./search-index');
+const { stem } = require('./stemmer');
+
+// Identifies how vectors are computed; stored vectors of another model are computed again
+const EMBEDDING_MODEL = 'hashed-ngrams-512-v2';
+const DIMENSIONS = 512;
+
+// Frequent English words carry no meaning of their own and would make unrelated memories look alike;
+// they are stemmed like the words of a text, which are compared to them
+const STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'he', 'her', 'his',
+    'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their', 'them', 'they',
+    'this', 'to', 'was', 'we', 'were', 'will', 'with', 'you', 'your'].map(stem));
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned hash
+ */
+function hash(text) {
+    let value = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        value ^= text.charCodeAt(i);
+        value = Math.imul(value, 0x01000193);
+    }
+    return value >>> 0;
+}
+
+/**
+ * Compute the vector of a text from hashed words and character trigrams
+ * Each stemmed word and each trigram of the word (with boundary markers) is hashed to one of 512 dimensions
+ * with a sign taken from the hash, so texts sharing words or word parts, including misspelled ones,
+ * point in similar directions. The vector is scaled to the Int8 range for compact storage.
+ * @param {string} text - Text to embed
+ * @returns {Int8Array} The vector; all zeros for text without words
+ */
+function embed(text) {
+    const sums = new Float64Array(DIMENSIONS);
+    const add = (feature, weight) => {
+        const value = hash(feature);
+        sums[value % DIMENSIONS] += value & 0x80000000 ? -weight : weight;
+    };
+    const words = tokenize(text).filter(word => !STOPWORDS.has(word));
+    for (const word of words) {
+        add(`w:${word}`, 1);
+        const padded = `<${word}>`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            add(padded.slice(i, i + 3), 1);
+        }
+    }
+
+    const largest = sums.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+    const vector = new Int8Array(DIMENSIONS);
+    if (largest > 0) {
+        sums.forEach((value, i) => {
+            vector[i] = Math.round(value / largest * 127);
+        });
+    }
+    return vector;
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Int8Array} a - First vector
+ * @param {Int8Array} b - Second vector
+ * @returns {number} From -1 to 1; 0 if either vector is all zeros
+ */
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Encode a vector as a Buffer for storage
+ * @param {Int8Array} vector - The vector
+ * @returns {Buffer}
+ */
+function encodeVector(vector) {
+    return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+/**
+ * Decode a stored vector
+ * @param {Buffer} buffer - Stored vector
+ * @returns {Int8Array|null} The vector as a view on the buffer, without copying it, or null if it does not have the expected size
+ */
+function decodeVector(buffer) {
+    if (!buffer || buffer.length !== DIMENSIONS) {
+        return null;
+    }
+    return new Int8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+}
+
+module.exports = { EMBEDDING_MODEL, embed, cosineSimilarity, encodeVector, decodeVector };
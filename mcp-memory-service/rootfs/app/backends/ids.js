@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+// Crockford base32 alphabet used by ULIDs
+const ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+
+let lastTime = -1;
+let lastRandom = null;
+
+/**
+ * Encode a non-negative integer as fixed-length Crockford base32
+ * @param {number} value - Value to encode
+ * @param {number} length - Number of characters
+ * @returns {string}
+ */
+function encodeTime(value, length) {
+    let encoded = '';
+    for (let i = 0; i < length; i++) {
+        encoded = ENCODING[value % 32] + encoded;
+        value = Math.floor(value / 32);
+    }
+    return encoded;
+}
+
+/**
+ * Increment a base32 digit array in place, carrying into higher digits
+ * @param {number[]} digits - Base32 digits, most significant first
+ * @returns {boolean} False if the value overflowed
+ */
+function increment(digits) {
+    for (let i = digits.length - 1; i >= 0; i--) {
+        if (digits[i] < 31) {
+            digits[i]++;
+            return true;
+        }
+        digits[i] = 0;
+    }
+    return false;
+}
+
+/**
+ * Generate a monotonic ULID for a memory
+ *
+ * IDs sort lexicographically by creation time, and IDs generated within the
+ * same millisecond increment the random part so they stay unique and ordered.
+ * @returns {string} 26 character ULID
+ */
+function generateMemoryId() {
+    let now = Date.now();
+    if (now <= lastTime && lastRandom && increment(lastRandom)) {
+        now = lastTime;
+    } else {
+        now = Math.max(now, lastTime + 1);
+        lastRandom = Array.from(crypto.randomBytes(RANDOM_LENGTH), byte => byte % 32);
+    }
+    lastTime = now;
+    return encodeTime(now, TIME_LENGTH) + lastRandom.map(digit => ENCODING[digit]).join('');
+}
+
+/**
+ * Give memories sharing an ID new unique IDs
+ *
+ * Legacy memories used Date.now() as ID, so several stored in the same
+ * millisecond share one. The first memory with an ID keeps it, so unique and
+ * first-seen legacy IDs stay resolvable; later duplicates get a new ID and keep
+ * the old one in `legacy_id`.
+ * @param {Object[]} memories - Memories to check, modified in place
+ * @returns {Array<{from: string, to: string}>} The rewritten IDs
+ */
+function migrateDuplicateIds(memories) {
+    const seen = new Set();
+    const rewrites = [];
+    for (const memory of memories) {
+        if (seen.has(memory.id)) {
+            const id = generateMemoryId();
+            rewrites.push({ from: memory.id, to: id });
+            memory.legacy_id = memory.id;
+            memory.id = id;
+        }
+        seen.add(memory.id);
+    }
+    return rewrites;
+}
+
+module.exports = { generateMemoryId, migrateDuplicateIds };
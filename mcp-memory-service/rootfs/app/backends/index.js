@@ -0,0 +1,65 @@
+const path = require('path');
+const { MemoryBackend, MemoryServiceError } = require('./memory-backend');
+const JsonFileBackend = require('./json-file-backend');
+const SqliteBackend = require('./sqlite-backend');
+const McpServiceBackend = require('./mcp-service-backend');
+
+// Backends implemented inside the wrapper, keyed by MCP_MEMORY_STORAGE_BACKEND value
+const backends = new Map([
+    ['json_file', JsonFileBackend],
+    ['sqlite', SqliteBackend]
+]);
+
+/**
+ * Register a memory backend under a name selectable via MCP_MEMORY_STORAGE_BACKEND
+ * @param {string} name - Backend name
+ * @param {Function} Backend - Class extending MemoryBackend
+ */
+function registerBackend(name, Backend) {
+    if (!(Backend.prototype instanceof MemoryBackend)) {
+        throw new Error(`Backend "${name}" must extend MemoryBackend`);
+    }
+    backends.set(name, Backend);
+}
+
+/**
+ * Check whether a backend name is handled inside the wrapper rather than by the Python service
+ * @param {string} name - Value of MCP_MEMORY_STORAGE_BACKEND
+ * @returns {boolean}
+ */
+function isLocalBackend(name) {
+    return backends.has(name) || name.startsWith('.') || path.isAbsolute(name);
+}
+
+/**
+ * Create the backend for a MCP_MEMORY_STORAGE_BACKEND value
+ *
+ * Registered names map to their class, module paths are loaded and must export
+ * a MemoryBackend subclass, and any other name is treated as a storage backend
+ * of the Python MCP Memory Service (sqlite_vec, chroma, ...).
+ * @param {string} name - Backend name or module path
+ * @param {Object} [options={}] - Options passed to the backend constructor
+ * @returns {MemoryBackend}
+ */
+function createBackend(name, options = {}) {
+    if (!backends.has(name) && isLocalBackend(name)) {
+        registerBackend(name, require(path.resolve(__dirname, '..', name)));
+    }
+
+    const Backend = backends.get(name);
+    if (Backend) {
+        return new Backend(options);
+    }
+    return new McpServiceBackend({ ...options, storageBackend: name });
+}
+
+module.exports = {
+    MemoryBackend,
+    MemoryServiceError,
+    JsonFileBackend,
+    SqliteBackend,
+    McpServiceBackend,
+    registerBackend,
+    isLocalBackend,
+    createBackend
+};
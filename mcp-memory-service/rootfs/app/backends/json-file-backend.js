@@ -0,0 +1,840 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { MemoryBackend, MemoryServiceError } = require('./memory-backend');
+const { migrateDuplicateIds } = require('./ids');
+const { writeFileAtomic } = require('./atomic-file');
+const { parseStorage, serializeStorage, upgradeStorage } = require('./storage-schema');
+const { EncryptionKeyError } = require('./storage-cipher');
+const { normalizeContent, contentHash } = require('./content-hash');
+const { assignDefaultNamespace } = require('./namespace-store');
+const { SearchIndex } = require('./search-index');
+const { EMBEDDING_MODEL, embed, encodeVector, decodeVector } = require('./embedding');
+const { matchMemories } = require('./ranking');
+
+// Journal compaction settings
+const JOURNAL_COMPACT_INTERVAL_MS = parseInt(process.env.MCP_JOURNAL_COMPACT_INTERVAL_MS || '300000');
+const JOURNAL_COMPACT_THRESHOLD = parseInt(process.env.MCP_JOURNAL_COMPACT_THRESHOLD || '1000');
+
+// Write coalescing settings: journal entries are flushed together after this delay or this many entries
+const WRITE_FLUSH_MS = parseInt(process.env.MCP_WRITE_FLUSH_MS || '0');
+const WRITE_FLUSH_MAX_PENDING = parseInt(process.env.MCP_WRITE_FLUSH_MAX_PENDING || '100');
+
+/**
+ * Memory backend storing all memories in a single JSON file under DATA_DIR
+ * Used as the fallback when the Python MCP Memory Service is unavailable
+ *
+ * Each mutation is appended to memories.journal and replayed on top of the
+ * memories.json snapshot at startup. Compaction writes a new snapshot to a
+ * temporary file that is fsynced and renamed over memories.json, keeping the
+ * previous version as memories.json.bak, and then empties the journal.
+ *
+ * Journal entries are coalesced: mutations made within MCP_WRITE_FLUSH_MS (or
+ * until MCP_WRITE_FLUSH_MAX_PENDING accumulate) are written with one append and
+ * fsync. In 'sync' durability mode a mutation resolves once its entry is on disk;
+ * in 'batched' mode it resolves immediately and failed flushes are retried.
+ *
+ * With an encryption key, the snapshot and each journal line are encrypted
+ * with AES-256-GCM. Data found in plain text or under the previous key is
+ * re-encrypted with the current key when the backend opens.
+ *
+ * Content search uses an in-memory BM25 index that is built when the backend
+ * opens and updated with each store, update and delete. Semantic search uses a
+ * vector per memory, computed on store. At each compaction the vectors of new and
+ * changed memories are appended to memories.vectors, so they only need to be
+ * computed again for memories changed since.
+ */
+class JsonFileBackend extends MemoryBackend {
+    /**
+     * Create a new JSON file backend
+     * @param {Object} [options={}] - Backend options
+     * @param {string} [options.dataDir] - Directory holding memories.json
+     */
+    constructor(options = {}) {
+        super(options);
+        this.memories = [];
+        this.memoryFile = path.join(this.dataDir, 'memories.json');
+        this.backupFile = `${this.memoryFile}.bak`;
+        this.journalFile = path.join(this.dataDir, 'memories.journal');
+        this.vectorFile = path.join(this.dataDir, 'memories.vectors');
+        this.journalHandle = null;
+        this.journalEntries = 0;
+        this.pendingEntries = [];
+        this.flushWaiters = [];
+        this.flushTimer = null;
+        this.compactTimer = null;
+        this.writeQueue = Promise.resolve();
+        this.normalized = new WeakMap();
+        this.searchIndex = new SearchIndex();
+        this.embeddings = new WeakMap();
+        // Content hash of the vector last saved for each memory ID, and the number of vector lines in the file
+        this.savedVectors = new Map();
+        this.vectorLines = 0;
+        this.rewriteVectors = true;
+    }
+
+    get name() {
+        return 'json_file';
+    }
+
+    get supportsUpdate() {
+        return true;
+    }
+
+    get supportsTrash() {
+        return true;
+    }
+
+    get supportsExpiry() {
+        return true;
+    }
+
+    get supportsRanking() {
+        return true;
+    }
+
+    get supportsNamespaces() {
+        return true;
+    }
+
+    /**
+     * Memories that are neither in the trash nor expired
+     * @param {string} [namespace] - Only include memories in this namespace
+     * @returns {Array}
+     */
+    activeMemories(namespace) {
+        const now = new Date().toISOString();
+        return this.memories.filter(memory => !memory.deleted_at && !(memory.expires_at && memory.expires_at <= now) &&
+            (!namespace || memory.namespace === namespace));
+    }
+
+    /**
+     * Rebuild the search index from all memories, including those in the trash, and compute missing vectors
+     */
+    indexMemories() {
+        this.searchIndex.clear();
+        for (const memory of this.memories) {
+            this.searchIndex.add(memory.id, memory.content);
+            this.embeddingOf(memory);
+        }
+    }
+
+    /**
+     * Vector of a memory with the hash of the content it was computed from, cached until its content changes
+     * @param {Object} memory - Stored memory
+     * @returns {{content: string, hash: string, vector: Int8Array}}
+     */
+    embeddingOf(memory) {
+        let cached = this.embeddings.get(memory);
+        if (!cached || cached.content !== memory.content) {
+            cached = { content: memory.content, hash: contentHash(memory.content), vector: embed(memory.content) };
+            this.embeddings.set(memory, cached);
+        }
+        return cached;
+    }
+
+    /**
+     * Load the vectors saved in memories.vectors for memories whose content has not changed since
+     * The file starts with a line naming the model, followed by one line per saved vector; a later line for
+     * a memory replaces earlier ones. A missing, damaged or unreadable file only means the vectors are computed again.
+     * @returns {Promise<number>} Number of memories whose vector was loaded
+     */
+    async loadEmbeddings() {
+        let data;
+        let lines;
+        let header;
+        try {
+            data = await fs.readFile(this.vectorFile, 'utf8');
+            lines = data.split('\n').filter(Boolean);
+            header = lines.length > 0 && JSON.parse(this.cipher.decode(lines[0]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Cannot read ${this.vectorFile} (${error.message}); computing vectors again`);
+            }
+            return 0;
+        }
+        if (!header || header.model !== EMBEDDING_MODEL) {
+            return 0;
+        }
+
+        const saved = new Map();
+        // Files of earlier versions hold all vectors in the header, and are rewritten in the line format
+        for (const [id, [hash, vector]] of Object.entries(header.vectors || {})) {
+            saved.set(id, { hash, vector });
+        }
+        for (const line of lines.slice(1)) {
+            try {
+                const entry = JSON.parse(this.cipher.decode(line));
+                saved.set(entry.id, entry);
+            } catch (error) {
+                // A torn append loses only that vector, which is computed again
+            }
+        }
+        this.vectorLines = lines.length - 1;
+        // After a torn append, the next line would be joined to the damaged one
+        this.rewriteVectors = Boolean(header.vectors) || !data.endsWith('\n');
+
+        let loaded = 0;
+        for (const memory of this.memories) {
+            const { hash, vector: data } = saved.get(memory.id) || {};
+            const vector = data && decodeVector(Buffer.from(data, 'base64'));
+            if (vector && hash === contentHash(memory.content)) {
+                this.embeddings.set(memory, { content: memory.content, hash, vector });
+                this.savedVectors.set(memory.id, hash);
+                loaded++;
+            }
+        }
+        return loaded;
+    }
+
+    /**
+     * Save the vectors of new and changed memories to memories.vectors
+     * Their lines are appended; the file is rewritten atomically when lines of changed or deleted memories
+     * would outnumber current ones, and when it is in an older format or under an old encryption key.
+     * @returns {Promise<void>}
+     */
+    async writeEmbeddings() {
+        const changed = this.memories.filter(memory => this.savedVectors.get(memory.id) !== this.embeddingOf(memory).hash);
+        const line = (memory) => {
+            const { hash, vector } = this.embeddingOf(memory);
+            return `${this.cipher.encode(JSON.stringify({ id: memory.id, hash, vector: encodeVector(vector).toString('base64') }))}\n`;
+        };
+
+        if (this.rewriteVectors || this.cipher.stale || this.vectorLines + changed.length > 2 * this.memories.length) {
+            const header = `${this.cipher.encode(JSON.stringify({ model: EMBEDDING_MODEL }))}\n`;
+            await writeFileAtomic(this.vectorFile, header + this.memories.map(line).join(''));
+            this.savedVectors = new Map(this.memories.map(memory => [memory.id, this.embeddingOf(memory).hash]));
+            this.vectorLines = this.memories.length;
+            this.rewriteVectors = false;
+        } else if (changed.length > 0) {
+            await fs.appendFile(this.vectorFile, changed.map(line).join(''));
+            changed.forEach(memory => this.savedVectors.set(memory.id, this.embeddingOf(memory).hash));
+            this.vectorLines += changed.length;
+        }
+    }
+
+    /**
+     * Load the snapshot, replay the journal, build the search index and vectors, and start background compaction
+     * @returns {Promise<void>}
+     * @throws {Error} If the snapshot or journal is damaged beyond recovery
+     */
+    async open() {
+        await this.loadSnapshot();
+        await this.replayJournal();
+        // Journal entries written before namespaces existed have none
+        assignDefaultNamespace(this.memories);
+        const loadedEmbeddings = await this.loadEmbeddings();
+        this.journalHandle = await fs.open(this.journalFile, 'a');
+
+        const rewrites = migrateDuplicateIds(this.memories);
+        if (rewrites.length > 0) {
+            rewrites.forEach(({ from, to }) => console.warn(`Duplicate memory ID ${from} rewritten to ${to}`));
+            // Journal entries refer to memories by ID, so persist the new IDs as a snapshot
+            await this.compact(true);
+        }
+        if (this.cipher.stale) {
+            await this.reencrypt();
+        }
+        this.indexMemories();
+        if (loadedEmbeddings < this.memories.length) {
+            console.log(`Computed vectors of ${this.memories.length - loadedEmbeddings} memories`);
+            await this.writeEmbeddings().catch(error => console.warn(`Error saving ${this.vectorFile}:`, error.message));
+        }
+
+        this.compactTimer = setInterval(() => {
+            if (this.journalEntries > 0) {
+                this.compact().catch(() => {});
+            }
+        }, JOURNAL_COMPACT_INTERVAL_MS);
+        this.compactTimer.unref();
+    }
+
+    /**
+     * Load memories from the JSON snapshot, recovering from the last-good copy if it is damaged
+     * @returns {Promise<void>}
+     * @throws {Error} If memories.json is damaged and no valid backup exists
+     */
+    async loadSnapshot() {
+        const memories = await this.readMemoryFile(this.memoryFile);
+        if (memories) {
+            this.memories = memories;
+            console.log(`Loaded ${this.memories.length} memories in fallback mode`);
+            return;
+        }
+        if (memories === null) {
+            console.log('No existing memories found, starting fresh');
+            this.memories = [];
+            return;
+        }
+
+        // memories.json is damaged: keep it for inspection and never write over it
+        const damagedFile = `${this.memoryFile}.corrupt-${Date.now()}`;
+        const backup = await this.readMemoryFile(this.backupFile);
+        if (!backup) {
+            throw new Error(`${this.memoryFile} is damaged and no valid backup exists at ${this.backupFile}; ` +
+                'restore a backup or move the file away to start with an empty store');
+        }
+        await fs.rename(this.memoryFile, damagedFile);
+        await fs.copyFile(this.backupFile, this.memoryFile);
+        this.memories = backup;
+        console.error(`${this.memoryFile} was damaged; moved it to ${damagedFile} and restored ` +
+            `${this.memories.length} memories from ${this.backupFile}`);
+    }
+
+    /**
+     * Read and validate a memories file, upgrading older schema versions in memory
+     * @param {string} file - Path of the file to read
+     * @returns {Promise<Array|null|false>} The memories, null if the file does not exist, false if it is damaged
+     * @throws {StorageVersionError} If the file was written by a newer add-on version
+     * @throws {EncryptionKeyError} If the file is encrypted with a key that is not configured
+     */
+    async readMemoryFile(file) {
+        let data;
+        try {
+            data = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        const document = parseStorage(this.cipher.decode(data));
+        return document ? upgradeStorage(document, file) : false;
+    }
+
+    /**
+     * Apply the mutations recorded in the journal to the loaded snapshot
+     * A torn last line from an interrupted append is ignored
+     * @returns {Promise<void>}
+     * @throws {Error} If a line other than the last one is damaged
+     */
+    async replayJournal() {
+        let data;
+        try {
+            data = await fs.readFile(this.journalFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+
+        const lines = data.split('\n');
+        const complete = lines.slice(0, -1);
+        const torn = lines[lines.length - 1];
+
+        complete.forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+            try {
+                this.applyJournalEntry(JSON.parse(this.cipher.decode(line)));
+                this.journalEntries++;
+            } catch (error) {
+                if (error instanceof EncryptionKeyError) {
+                    throw error;
+                }
+                throw new Error(`${this.journalFile} is damaged at line ${index + 1}`);
+            }
+        });
+
+        if (torn) {
+            // Cut off the interrupted append so new entries start on a fresh line
+            console.warn(`Ignoring incomplete last entry of ${this.journalFile}`);
+            await fs.truncate(this.journalFile, Buffer.byteLength(data) - Buffer.byteLength(torn));
+        }
+        if (this.journalEntries > 0) {
+            console.log(`Replayed ${this.journalEntries} journal entries`);
+        }
+    }
+
+    /**
+     * Apply a journal entry to the in-memory memories
+     * Entries are idempotent so replaying over a snapshot that already contains them is safe
+     * @param {Object} entry - Journal entry {op, at, memory} or {op, at, id}
+     */
+    applyJournalEntry(entry) {
+        const index = this.memories.findIndex(memory => memory.id === (entry.memory ? entry.memory.id : entry.id));
+        switch (entry.op) {
+            case 'store':
+            case 'update':
+                if (index === -1) {
+                    this.memories.push(entry.memory);
+                } else {
+                    this.memories[index] = entry.memory;
+                }
+                break;
+            case 'delete':
+                if (index !== -1) {
+                    this.memories.splice(index, 1);
+                }
+                break;
+            default:
+                console.warn(`Ignoring unknown journal operation: ${entry.op}`);
+        }
+    }
+
+    /**
+     * Run a write task after all previously queued ones
+     * @param {Function} task - Async function performing the write
+     * @returns {Promise<*>} Result of the task
+     */
+    enqueueWrite(task) {
+        const write = this.writeQueue.then(task);
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Queue mutations for the journal and schedule a flush
+     * Entries queued in one call are always written together
+     * @param {...Object} entries - Journal entries without timestamp
+     * @returns {Promise<void>} In 'sync' mode resolves once the entries are on disk
+     * @throws {MemoryServiceError} In 'sync' mode, if the entries could not be written
+     */
+    appendJournal(...entries) {
+        const at = new Date().toISOString();
+        this.pendingEntries.push(...entries.map(entry => this.cipher.encode(JSON.stringify({ ...entry, at }))));
+        const written = this.durability === 'sync'
+            ? new Promise((resolve, reject) => this.flushWaiters.push({ resolve, reject }))
+            : Promise.resolve();
+
+        if (this.pendingEntries.length >= WRITE_FLUSH_MAX_PENDING) {
+            this.flush().catch(() => {});
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush().catch(() => {}), WRITE_FLUSH_MS);
+        }
+        return written;
+    }
+
+    /**
+     * Write all pending journal entries with a single append and fsync
+     * @returns {Promise<void>}
+     * @throws {MemoryServiceError} If the entries could not be written
+     */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        return this.enqueueWrite(() => this.writePendingEntries());
+    }
+
+    /**
+     * Append the pending journal entries, from within a queued write
+     * @returns {Promise<void>}
+     * @throws {MemoryServiceError} If the entries could not be written
+     */
+    async writePendingEntries() {
+        // Entries queued while an earlier write was in progress are picked up here as well
+        const entries = this.pendingEntries.splice(0);
+        const waiters = this.flushWaiters.splice(0);
+        if (entries.length === 0) {
+            return;
+        }
+
+        try {
+            await this.journalHandle.appendFile(entries.map(line => `${line}\n`).join(''));
+            await this.journalHandle.sync();
+        } catch (error) {
+            console.error('Error writing memory journal:', error);
+            const failure = new MemoryServiceError(`Failed to save memories: ${error.message}`, 500);
+            if (this.durability === 'sync') {
+                // Callers roll back their in-memory change
+                waiters.forEach(waiter => waiter.reject(failure));
+            } else {
+                // Changes were already confirmed, so keep them for the next flush
+                this.pendingEntries.unshift(...entries);
+                this.flushTimer = this.flushTimer || setTimeout(() => this.flush().catch(() => {}), 1000);
+            }
+            throw failure;
+        }
+
+        this.journalEntries += entries.length;
+        waiters.forEach(waiter => waiter.resolve());
+        if (this.journalEntries >= JOURNAL_COMPACT_THRESHOLD) {
+            this.compact().catch(() => {});
+        }
+    }
+
+    /**
+     * Write a snapshot of all memories and empty the journal
+     * @param {boolean} [force=false] - Write the snapshot even if the journal is empty
+     * @returns {Promise<void>}
+     * @throws {MemoryServiceError} If the pending journal entries or the snapshot could not be written
+     */
+    compact(force = false) {
+        return this.enqueueWrite(async () => {
+            // The memories include changes whose entries are still pending; they are written first, as a change
+            // whose write fails is rolled back and must not reach the snapshot
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+            await this.writePendingEntries();
+            if (this.journalEntries === 0 && !force) {
+                return;
+            }
+            await this.writeMemoryFile();
+            await this.journalHandle.truncate(0);
+            await this.journalHandle.sync();
+            console.log(`Compacted ${this.journalEntries} journal entries into ${this.memoryFile}`);
+            this.journalEntries = 0;
+            // Vectors can be computed again from the memories, so failing to save them does not fail compaction
+            await this.writeEmbeddings().catch(error => console.warn(`Error saving ${this.vectorFile}:`, error.message));
+        });
+    }
+
+    /**
+     * Atomically write the current memories to the JSON file
+     * @returns {Promise<void>}
+     * @throws {MemoryServiceError} If the file could not be written
+     */
+    async writeMemoryFile() {
+        try {
+            await writeFileAtomic(this.memoryFile, this.cipher.encode(serializeStorage(this.memories)), {
+                beforeRename: () => this.retainBackup()
+            });
+        } catch (error) {
+            console.error('Error saving memories:', error);
+            throw new MemoryServiceError(`Failed to save memories: ${error.message}`, 500);
+        }
+    }
+
+    /**
+     * Keep the current memories.json as the last-good copy before it is replaced
+     * @returns {Promise<void>}
+     */
+    async retainBackup() {
+        await fs.rm(this.backupFile, { force: true });
+        try {
+            // A hard link keeps the old file without copying it
+            await fs.link(this.memoryFile, this.backupFile);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            await fs.copyFile(this.memoryFile, this.backupFile);
+        }
+    }
+
+    /**
+     * Rewrite the snapshot and backups with the current key and empty the journal
+     * Used when data was read in plain text or with the previous key
+     * @returns {Promise<void>}
+     */
+    async reencrypt() {
+        await this.compact(true);
+        // The backup still holds the old data; replace it with the re-encrypted snapshot
+        await fs.rm(this.backupFile, { force: true });
+        await fs.copyFile(this.memoryFile, this.backupFile);
+        await this.reencryptCopies();
+        this.cipher.stale = false;
+        console.log(this.cipher.enabled
+            ? `Re-encrypted ${this.memories.length} memories with the current encryption key`
+            : `Decrypted ${this.memories.length} memories; storage is no longer encrypted`);
+    }
+
+    /**
+     * Rewrite schema migration backups and damaged copies of memories.json with the current key
+     * Copies encrypted with a key that is no longer configured, or too damaged to decrypt, are left as they are.
+     * @returns {Promise<void>}
+     */
+    async reencryptCopies() {
+        const prefix = `${path.basename(this.memoryFile)}.`;
+        const copies = (await fs.readdir(this.dataDir))
+            .filter(name => name.startsWith(prefix) && /^(v\d+\.bak|corrupt-\d+)$/.test(name.slice(prefix.length)));
+        for (const name of copies) {
+            const file = path.join(this.dataDir, name);
+            let plaintext;
+            try {
+                plaintext = this.cipher.decode(await fs.readFile(file, 'utf8'));
+            } catch (error) {
+                if (!(error instanceof EncryptionKeyError)) {
+                    throw error;
+                }
+                console.warn(`Cannot re-encrypt ${file}: ${error.message}`);
+                continue;
+            }
+            if (plaintext !== null) {
+                await writeFileAtomic(file, this.cipher.encode(plaintext));
+            }
+        }
+    }
+
+    async store(input) {
+        const memory = this.newMemory(input);
+        this.memories.push(memory);
+        try {
+            await this.appendJournal({ op: 'store', memory });
+        } catch (error) {
+            this.removeFromList(memory.id);
+            throw error;
+        }
+        this.searchIndex.add(memory.id, memory.content);
+        this.embeddingOf(memory);
+        return memory;
+    }
+
+    async storeMany(inputs) {
+        if (inputs.length === 0) {
+            return [];
+        }
+        const memories = inputs.map(input => this.newMemory(input));
+        this.memories.push(...memories);
+        try {
+            await this.appendJournal(...memories.map(memory => ({ op: 'store', memory })));
+        } catch (error) {
+            const ids = new Set(memories.map(memory => memory.id));
+            this.memories = this.memories.filter(memory => !ids.has(memory.id));
+            throw error;
+        }
+        for (const memory of memories) {
+            this.searchIndex.add(memory.id, memory.content);
+            this.embeddingOf(memory);
+        }
+        return memories;
+    }
+
+    async get(id) {
+        return this.memories.find(memory => memory.id === id && !memory.deleted_at) || null;
+    }
+
+    async findDuplicate(content, namespace) {
+        const normalized = normalizeContent(content);
+        return this.activeMemories(namespace)
+            .filter(memory => this.normalizedContent(memory) === normalized)
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))[0] || null;
+    }
+
+    /**
+     * Normalized content of a memory, cached until its content changes
+     * @param {Object} memory - Stored memory
+     * @returns {string}
+     */
+    normalizedContent(memory) {
+        let cached = this.normalized.get(memory);
+        if (!cached || cached.content !== memory.content) {
+            cached = { content: memory.content, normalized: normalizeContent(memory.content) };
+            this.normalized.set(memory, cached);
+        }
+        return cached.normalized;
+    }
+
+    async getTrashed(id) {
+        return this.memories.find(memory => memory.id === id && memory.deleted_at) || null;
+    }
+
+    /**
+     * Set or clear the deleted_at timestamp of a memory and journal the change
+     * @param {Object} memory - The memory to change
+     * @param {string|undefined} deletedAt - Deletion timestamp, or undefined to restore
+     * @returns {Promise<Object>} The changed memory
+     */
+    async setDeletedAt(memory, deletedAt) {
+        const previous = memory.deleted_at;
+        if (deletedAt) {
+            memory.deleted_at = deletedAt;
+        } else {
+            delete memory.deleted_at;
+        }
+        try {
+            await this.appendJournal({ op: 'update', memory });
+        } catch (error) {
+            if (previous) {
+                memory.deleted_at = previous;
+            } else {
+                delete memory.deleted_at;
+            }
+            throw error;
+        }
+        return memory;
+    }
+
+    async trash(id) {
+        const memory = await this.get(id);
+        if (!memory) {
+            throw new MemoryServiceError('Memory not found', 404);
+        }
+        return this.setDeletedAt(memory, new Date().toISOString());
+    }
+
+    async restore(id) {
+        const memory = await this.getTrashed(id);
+        if (!memory) {
+            throw new MemoryServiceError('Memory not found in trash', 404);
+        }
+        // A memory restored after it expired no longer expires, otherwise the next sweep would remove it again
+        const expiresAt = memory.expires_at;
+        if (expiresAt && expiresAt <= new Date().toISOString()) {
+            delete memory.expires_at;
+        }
+        try {
+            return await this.setDeletedAt(memory, undefined);
+        } catch (error) {
+            if (expiresAt) {
+                memory.expires_at = expiresAt;
+            }
+            throw error;
+        }
+    }
+
+    async listTrash({ limit, offset, namespace }) {
+        const trashed = this.memories.filter(memory => memory.deleted_at && (!namespace || memory.namespace === namespace))
+            .sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+        return {
+            memories: trashed.slice(offset, offset + limit),
+            total: trashed.length,
+            offset,
+            limit
+        };
+    }
+
+    async purgeTrash(before) {
+        const expired = this.memories.filter(memory => memory.deleted_at && memory.deleted_at < before);
+        const purged = [];
+        for (const memory of expired) {
+            await this.delete(memory.id);
+            purged.push(memory.id);
+        }
+        return purged;
+    }
+
+    async update(id, changes) {
+        const memory = await this.get(id);
+        if (!memory) {
+            throw new MemoryServiceError('Memory not found', 404);
+        }
+        const previous = { ...memory };
+        Object.assign(memory, changes, { updated_at: new Date().toISOString() });
+        // Unset optional fields are left out, as in newly stored memories
+        for (const field of ['importance', 'pinned']) {
+            if (memory[field] === undefined || memory[field] === false) {
+                delete memory[field];
+            }
+        }
+        try {
+            await this.appendJournal({ op: 'update', memory });
+        } catch (error) {
+            // Put back the previous record as a whole, so fields added by the update are gone as well
+            const index = this.memories.indexOf(memory);
+            if (index !== -1) {
+                this.memories[index] = previous;
+            }
+            throw error;
+        }
+        if (memory.content !== previous.content) {
+            this.searchIndex.add(memory.id, memory.content);
+            this.embeddingOf(memory);
+        }
+        return memory;
+    }
+
+    async delete(id) {
+        const memory = this.removeFromList(id);
+        if (!memory) {
+            throw new MemoryServiceError('Memory not found', 404);
+        }
+        try {
+            await this.appendJournal({ op: 'delete', id });
+        } catch (error) {
+            this.memories.push(memory);
+            throw error;
+        }
+        this.searchIndex.remove(id);
+        return true;
+    }
+
+    /**
+     * Take a memory out of the in-memory list
+     * Rollbacks look the memory up by ID, since other stores and deletes may have changed the list while the
+     * failed journal write was pending
+     * @param {string} id - The memory ID
+     * @returns {Object|null} The removed memory, or null if it is not in the list
+     */
+    removeFromList(id) {
+        const index = this.memories.findIndex(memory => memory.id === id);
+        return index === -1 ? null : this.memories.splice(index, 1)[0];
+    }
+
+    async listExpired(now) {
+        return this.memories.filter(memory => !memory.deleted_at && memory.expires_at && memory.expires_at <= now);
+    }
+
+    async search({ query, filter, tags, limit, namespace, mode }) {
+        let results = this.activeMemories(namespace);
+
+        if (tags.length > 0) {
+            results = results.filter(memory =>
+                tags.some(tag => memory.tags.includes(tag))
+            );
+        }
+
+        if (query || filter) {
+            results = matchMemories(results, { query, filter, mode, index: this.searchIndex, vectorOf: memory => this.embeddingOf(memory).vector });
+        } else {
+            results.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        }
+        return results.slice(0, limit);
+    }
+
+    async list({ limit, offset, namespace }) {
+        const sortedMemories = this.activeMemories(namespace).sort((a, b) =>
+            new Date(b.created_at) - new Date(a.created_at)
+        );
+        const paginatedMemories = sortedMemories.slice(offset, offset + limit);
+        return {
+            memories: paginatedMemories,
+            total: sortedMemories.length,
+            offset,
+            limit
+        };
+    }
+
+    async exportAll() {
+        return this.memories.map(memory => ({ ...memory }));
+    }
+
+    async replaceAll(memories) {
+        // Write out changes made before the replacement so the journal no longer refers to them
+        await this.flush();
+        const previous = this.memories;
+        this.memories = assignDefaultNamespace(memories.map(memory => ({ ...memory })));
+        try {
+            await this.compact(true);
+        } catch (error) {
+            this.memories = previous;
+            throw error;
+        }
+        this.indexMemories();
+    }
+
+    async stats({ namespace } = {}) {
+        const active = this.activeMemories(namespace);
+        const inNamespace = memory => !namespace || memory.namespace === namespace;
+        return {
+            backend: this.name,
+            total_memories: active.length,
+            trashed_memories: this.memories.filter(memory => memory.deleted_at && inNamespace(memory)).length,
+            expiring_memories: active.filter(memory => memory.expires_at).length,
+            expired_memories: (await this.listExpired(new Date().toISOString())).filter(inNamespace).length,
+            journal_entries: this.journalEntries,
+            pending_writes: this.pendingEntries.length,
+            durability: this.durability,
+            encrypted: this.cipher.enabled
+        };
+    }
+
+    /**
+     * Stop background compaction, flush pending journal entries and close the journal
+     * @returns {Promise<void>}
+     */
+    async close() {
+        clearInterval(this.compactTimer);
+        this.compactTimer = null;
+        if (this.journalHandle) {
+            await this.flush().catch(() => {});
+            await this.writeQueue;
+            await this.journalHandle.close();
+            this.journalHandle = null;
+        }
+    }
+}
+
+module.exports = JsonFileBackend;
@@ -0,0 +1,211 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { writeFileAtomic } = require('./atomic-file');
+const { StorageCipher, EncryptionKeyError } = require('./storage-cipher');
+
+/**
+ * Typed links between memories, kept in DATA_DIR/links.json
+ *
+ * A link points from one memory to another with a type such as `supersedes`,
+ * `related_to` or `about_person`. The file is small and rewritten atomically on
+ * each change; changes made while a write is pending are written together.
+ */
+class LinkStore {
+    /**
+     * Create a link store
+     * @param {Object} options - Link options
+     * @param {string} options.dataDir - Directory holding links.json
+     * @param {StorageCipher} [options.cipher] - Cipher for the links file
+     */
+    constructor(options) {
+        this.file = path.join(options.dataDir, 'links.json');
+        this.cipher = options.cipher || new StorageCipher();
+        this.links = [];
+        this.byMemory = new Map();
+        this.pendingSave = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load the links file
+     * A damaged file is moved aside as links.json.corrupt-<timestamp>, since links can be recreated
+     * @returns {Promise<void>}
+     * @throws {EncryptionKeyError} If the file is encrypted with a key that is not configured
+     */
+    async open() {
+        let data;
+        try {
+            data = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+
+        let links;
+        try {
+            links = JSON.parse(this.cipher.decode(data)).links;
+            if (!Array.isArray(links)) {
+                throw new Error('links is not an array');
+            }
+        } catch (error) {
+            if (error instanceof EncryptionKeyError) {
+                throw error;
+            }
+            const damagedFile = `${this.file}.corrupt-${Date.now()}`;
+            await fs.rename(this.file, damagedFile);
+            console.warn(`${this.file} is damaged (${error.message}); moved it to ${damagedFile} and starting without links`);
+            return;
+        }
+
+        links.forEach(link => this.index(link));
+        if (this.cipher.stale) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Add a link to the in-memory list and the per-memory index
+     * @param {Object} link - Link {from, to, type, created_at, created_by}
+     */
+    index(link) {
+        this.links.push(link);
+        for (const id of new Set([link.from, link.to])) {
+            this.byMemory.set(id, [...(this.byMemory.get(id) || []), link]);
+        }
+    }
+
+    /**
+     * Get the links from or to a memory
+     * @param {string} memoryId - The memory ID
+     * @returns {Array} Links {from, to, type, created_at, created_by}
+     */
+    list(memoryId) {
+        return [...(this.byMemory.get(memoryId) || [])];
+    }
+
+    /**
+     * Find a link
+     * @param {string} from - ID of the linking memory
+     * @param {string} type - Link type
+     * @param {string} to - ID of the linked memory
+     * @returns {Object|null} The link, or null if it does not exist
+     */
+    find(from, type, to) {
+        return this.list(from).find(link => link.from === from && link.type === type && link.to === to) || null;
+    }
+
+    /**
+     * Create a link unless it already exists
+     * @param {string} from - ID of the linking memory
+     * @param {string} type - Link type
+     * @param {string} to - ID of the linked memory
+     * @param {Object|null} createdBy - Who created the link {auth_method, user}
+     * @returns {Promise<Object>} {link, created}, where created is false for an existing link
+     */
+    async add(from, type, to, createdBy) {
+        const existing = this.find(from, type, to);
+        if (existing) {
+            return { link: existing, created: false };
+        }
+        const link = { from, to, type, created_at: new Date().toISOString(), created_by: createdBy };
+        this.index(link);
+        try {
+            await this.save();
+        } catch (error) {
+            this.drop([link]);
+            throw error;
+        }
+        return { link, created: true };
+    }
+
+    /**
+     * Remove a link
+     * @param {string} from - ID of the linking memory
+     * @param {string} type - Link type
+     * @param {string} to - ID of the linked memory
+     * @returns {Promise<boolean>} False if the link does not exist
+     */
+    async remove(from, type, to) {
+        const link = this.find(from, type, to);
+        if (!link) {
+            return false;
+        }
+        await this.removeLinks([link]);
+        return true;
+    }
+
+    /**
+     * Remove all links from or to a memory
+     * @param {string} memoryId - The memory ID
+     * @returns {Promise<number>} Number of removed links
+     */
+    async removeMemory(memoryId) {
+        const links = this.list(memoryId);
+        if (links.length > 0) {
+            await this.removeLinks(links);
+        }
+        return links.length;
+    }
+
+    /**
+     * Remove links and save, putting them back if the save fails
+     * @param {Array} links - Links to remove
+     * @returns {Promise<void>}
+     */
+    async removeLinks(links) {
+        this.drop(links);
+        try {
+            await this.save();
+        } catch (error) {
+            links.forEach(link => this.index(link));
+            throw error;
+        }
+    }
+
+    /**
+     * Remove links from the in-memory list and index
+     * @param {Array} links - Links to remove
+     */
+    drop(links) {
+        const removed = new Set(links);
+        this.links = this.links.filter(link => !removed.has(link));
+        for (const link of links) {
+            for (const id of [link.from, link.to]) {
+                const remaining = (this.byMemory.get(id) || []).filter(other => !removed.has(other));
+                if (remaining.length > 0) {
+                    this.byMemory.set(id, remaining);
+                } else {
+                    this.byMemory.delete(id);
+                }
+            }
+        }
+    }
+
+    /**
+     * Atomically write all links, sharing the write with other changes made before it starts
+     * @returns {Promise<void>}
+     */
+    save() {
+        if (!this.pendingSave) {
+            this.pendingSave = this.writeQueue.then(() => {
+                // Later changes start the next write
+                this.pendingSave = null;
+                return writeFileAtomic(this.file, this.cipher.encode(JSON.stringify({ links: this.links })));
+            });
+            this.writeQueue = this.pendingSave.catch(() => {});
+        }
+        return this.pendingSave;
+    }
+
+    /**
+     * Wait for pending writes
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.writeQueue;
+    }
+}
+
+module.exports = LinkStore;
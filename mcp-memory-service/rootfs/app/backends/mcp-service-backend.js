@@ -0,0 +1,330 @@
+const http = require('http');
+const { spawn } = require('child_process');
+const { MemoryBackend, MemoryServiceError } = require('./memory-backend');
+const { matchesFilter } = require('./search-query');
+
+// Python MCP Memory Service HTTP API
+const MCP_SERVICE_PORT = process.env.MCP_SERVICE_PORT || '8081';
+const MCP_SERVICE_TIMEOUT_MS = parseInt(process.env.MCP_SERVICE_TIMEOUT_MS || '30000');
+
+/**
+ * Collect the tags every memory matching a filter tree must have, to fetch candidates by tag
+ * @param {Object|null} filter - Filter tree from parseQuery()
+ * @returns {string[]} Tags of `tag` nodes that are not under an OR or NOT
+ */
+function requiredTags(filter) {
+    if (!filter) {
+        return [];
+    }
+    if (filter.type === 'and') {
+        return filter.children.flatMap(requiredTags);
+    }
+    return filter.type === 'tag' ? [filter.value] : [];
+}
+
+/**
+ * Memory backend proxying to the Python mcp_memory_service HTTP API
+ * Spawns the service on MCP_SERVICE_PORT, or connects to MCP_SERVICE_URL when set
+ */
+class McpServiceBackend extends MemoryBackend {
+    /**
+     * Create a new MCP Memory Service backend
+     * @param {Object} [options={}] - Backend options
+     * @param {string} [options.storageBackend] - Storage backend of the Python service (sqlite_vec, chroma, ...)
+     * @param {string} [options.serviceUrl] - URL of an already running service; skips spawning
+     * @param {Object} [options.env] - Extra environment variables for the spawned service
+     */
+    constructor(options = {}) {
+        super(options);
+        this.storageBackend = options.storageBackend || process.env.MCP_MEMORY_STORAGE_BACKEND || 'sqlite_vec';
+        this.externalUrl = options.serviceUrl || process.env.MCP_SERVICE_URL || null;
+        this.serviceUrl = this.externalUrl || `http://127.0.0.1:${MCP_SERVICE_PORT}`;
+        this.env = options.env || {};
+        this.process = null;
+        this.isReady = false;
+    }
+
+    get name() {
+        return this.storageBackend;
+    }
+
+    get mode() {
+        return 'mcp_service';
+    }
+
+    /**
+     * Start or connect to the MCP Memory Service
+     * @returns {Promise<void>} Resolves when the service is ready
+     * @throws {Error} If the service fails to start, times out or is unreachable
+     */
+    async open() {
+        if (this.externalUrl) {
+            // Use an already running MCP Memory Service instead of spawning one
+            await this.requestMCPService('GET', '/api/health');
+            this.isReady = true;
+            console.log(`Connected to MCP Memory Service at ${this.serviceUrl}`);
+        } else {
+            await this.startMCPService();
+        }
+    }
+
+    /**
+     * Start the actual MCP Memory Service Python process
+     * @returns {Promise<void>} Resolves when service is ready
+     * @throws {Error} If service fails to start or times out
+     */
+    startMCPService() {
+        return new Promise((resolve, reject) => {
+            // The startup timeout is cleared once the service is ready or has failed, so it does not keep the process alive
+            let timer = null;
+            const settle = (callback, value) => {
+                clearTimeout(timer);
+                callback(value);
+            };
+
+            // Start the MCP Memory Service Python process
+            this.process = spawn('python3', ['-m', 'mcp_memory_service'], {
+                cwd: '/app',
+                env: {
+                    ...process.env,
+                    MCP_MEMORY_STORAGE_BACKEND: this.storageBackend,
+                    MCP_BATCH_SIZE: process.env.MCP_BATCH_SIZE || '16',
+                    MCP_MAX_CONTEXT_LENGTH: process.env.MCP_MAX_CONTEXT_LENGTH || '512',
+                    MCP_EMBEDDING_MODEL: process.env.MCP_EMBEDDING_MODEL || 'all-MiniLM-L6-v2',
+                    MCP_HTTP_ENABLED: 'true',
+                    MCP_HTTP_PORT: MCP_SERVICE_PORT,
+                    ...this.env,
+                    // CPU-only optimization flags
+                    OMP_NUM_THREADS: '2',
+                    MKL_NUM_THREADS: '2',
+                    CUDA_VISIBLE_DEVICES: '',
+                    PYTORCH_CUDA_ALLOC_CONF: ''
+                }
+            });
+
+            this.process.stdout.on('data', (data) => {
+                const output = data.toString();
+                console.log('MCP Service:', output);
+                if (output.includes('Server started')) {
+                    this.isReady = true;
+                    settle(resolve);
+                }
+            });
+
+            this.process.stderr.on('data', (data) => {
+                console.error('MCP Service Error:', data.toString());
+            });
+
+            this.process.on('error', (error) => {
+                settle(reject, new Error(`Failed to start MCP Memory Service: ${error.message}`));
+            });
+
+            this.process.on('close', (code) => {
+                console.log(`MCP Memory Service process exited with code ${code}`);
+                if (!this.isReady) {
+                    settle(reject, new Error(`MCP Memory Service exited with code ${code} before startup`));
+                }
+                this.isReady = false;
+            });
+
+            // Timeout after 30 seconds
+            timer = setTimeout(() => {
+                if (!this.isReady) {
+                    reject(new Error('MCP Memory Service startup timeout'));
+                }
+            }, 30000);
+        });
+    }
+
+    /**
+     * Ensure the service is available before proxying a request
+     * @throws {MemoryServiceError} 503 if the service is not ready
+     */
+    assertReady() {
+        if (!this.isReady) {
+            throw new MemoryServiceError('MCP Memory Service is not available', 503);
+        }
+    }
+
+    async store({ content, metadata, tags }) {
+        this.assertReady();
+        const response = await this.requestMCPService('POST', '/api/memories', { content, tags, metadata });
+        if (response.success === false) {
+            throw new MemoryServiceError(response.message || 'Failed to store memory', 409);
+        }
+        return this.toWrapperMemory(response.memory || { content, metadata, tags, content_hash: response.content_hash });
+    }
+
+    async get(id) {
+        this.assertReady();
+        try {
+            const response = await this.requestMCPService('GET', `/api/memories/${encodeURIComponent(id)}`);
+            return this.toWrapperMemory(response.memory || response);
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async delete(id) {
+        this.assertReady();
+        await this.requestMCPService('DELETE', `/api/memories/${encodeURIComponent(id)}`);
+        return true;
+    }
+
+    async search({ query, filter, tags, limit }) {
+        this.assertReady();
+        // The service cannot combine tags with a query or evaluate filter trees, so more results are fetched and narrowed here
+        const fetchLimit = tags.length > 0 || filter ? limit * 5 : limit;
+        const searchTags = tags.length > 0 ? tags : requiredTags(filter);
+        let memories;
+        if (query) {
+            const response = await this.requestMCPService('POST', '/api/search', {
+                query,
+                n_results: fetchLimit
+            });
+            memories = (response.results || []).map(result => ({
+                ...this.toWrapperMemory(result.memory),
+                score: result.similarity_score
+            }));
+            if (tags.length > 0) {
+                memories = memories.filter(memory => tags.some(tag => memory.tags.includes(tag)));
+            }
+        } else if (searchTags.length > 0) {
+            const response = await this.requestMCPService('POST', '/api/search/by-tag', {
+                tags: searchTags,
+                match_all: false
+            });
+            memories = (response.results || []).map(result => this.toWrapperMemory(result.memory));
+        } else {
+            memories = (await this.list({ limit: fetchLimit, offset: 0 })).memories;
+        }
+        if (filter) {
+            memories = memories.filter(memory => matchesFilter(memory, filter));
+        }
+        return memories.slice(0, limit);
+    }
+
+    async list({ limit, offset }) {
+        this.assertReady();
+        // The service paginates by page; fetch enough of the first page when offset is unaligned
+        const aligned = limit > 0 && offset % limit === 0;
+        const pageSize = aligned ? limit : offset + limit;
+        const page = aligned ? offset / limit + 1 : 1;
+        const response = await this.requestMCPService('GET', `/api/memories?page=${page}&page_size=${pageSize}`);
+        const memories = (response.memories || []).map(memory => this.toWrapperMemory(memory));
+        return {
+            memories: aligned ? memories : memories.slice(offset),
+            total: response.total !== undefined ? response.total : memories.length,
+            offset,
+            limit
+        };
+    }
+
+    async stats() {
+        this.assertReady();
+        const response = await this.requestMCPService('GET', '/api/health/detailed');
+        const storage = response.storage || {};
+        return {
+            backend: storage.backend || this.storageBackend,
+            total_memories: storage.total_memories
+        };
+    }
+
+    /**
+     * Stop the spawned Python process, if any
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.process) {
+            this.process.kill();
+            this.process = null;
+        }
+        this.isReady = false;
+    }
+
+    /**
+     * Perform an HTTP request against the MCP Memory Service API
+     * @param {string} method - HTTP method
+     * @param {string} apiPath - Request path including query string
+     * @param {Object} [body] - Optional JSON request body
+     * @returns {Promise<Object>} Parsed JSON response body
+     * @throws {MemoryServiceError} With the upstream status code, or 502/504 on connection failures
+     */
+    requestMCPService(method, apiPath, body) {
+        return new Promise((resolve, reject) => {
+            const payload = body !== undefined ? JSON.stringify(body) : null;
+            const headers = { 'Accept': 'application/json' };
+            if (payload) {
+                headers['Content-Type'] = 'application/json';
+                headers['Content-Length'] = Buffer.byteLength(payload);
+            }
+            if (process.env.MCP_API_KEY) {
+                headers['Authorization'] = `Bearer ${process.env.MCP_API_KEY}`;
+            }
+
+            const request = http.request(new URL(apiPath, this.serviceUrl), { method, headers }, (response) => {
+                let data = '';
+                response.setEncoding('utf8');
+                response.on('data', (chunk) => { data += chunk; });
+                response.on('end', () => {
+                    let parsed = {};
+                    try {
+                        parsed = data ? JSON.parse(data) : {};
+                    } catch (error) {
+                        if (response.statusCode < 400) {
+                            return reject(new MemoryServiceError('Invalid response from MCP Memory Service', 502));
+                        }
+                    }
+
+                    if (response.statusCode >= 400) {
+                        const detail = parsed.detail || parsed.error || parsed.message || `MCP Memory Service returned ${response.statusCode}`;
+                        const message = typeof detail === 'string' ? detail : JSON.stringify(detail);
+                        // Upstream client errors are passed through, server errors become a bad gateway
+                        const status = response.statusCode < 500 ? response.statusCode : 502;
+                        return reject(new MemoryServiceError(message, status));
+                    }
+                    resolve(parsed);
+                });
+            });
+
+            request.setTimeout(MCP_SERVICE_TIMEOUT_MS, () => {
+                request.destroy(new MemoryServiceError('MCP Memory Service request timed out', 504));
+            });
+
+            request.on('error', (error) => {
+                if (error instanceof MemoryServiceError) {
+                    return reject(error);
+                }
+                reject(new MemoryServiceError(`MCP Memory Service unavailable: ${error.message}`, 502));
+            });
+
+            if (payload) {
+                request.write(payload);
+            }
+            request.end();
+        });
+    }
+
+    /**
+     * Convert a memory returned by the MCP Memory Service to the wrapper format
+     * @param {Object} memory - Memory object from the MCP service API
+     * @returns {Object} Memory in the wrapper's {id, content, metadata, tags, ...} format
+     */
+    toWrapperMemory(memory) {
+        const toISO = (iso, timestamp) => iso || (timestamp ? new Date(timestamp * 1000).toISOString() : null);
+        return {
+            id: memory.content_hash || memory.id,
+            content: memory.content,
+            metadata: memory.metadata || {},
+            tags: memory.tags || [],
+            memory_type: memory.memory_type,
+            created_at: toISO(memory.created_at_iso, memory.created_at),
+            updated_at: toISO(memory.updated_at_iso, memory.updated_at)
+        };
+    }
+}
+
+module.exports = McpServiceBackend;
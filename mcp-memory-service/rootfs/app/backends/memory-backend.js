@@ -0,0 +1,334 @@
+const { StorageCipher } = require('./storage-cipher');
+const { generateMemoryId } = require('./ids');
+const { DEFAULT_NAMESPACE } = require('./namespace-store');
+
+/**
+ * Error raised by memory operations, carrying the HTTP status to respond with
+ */
+class MemoryServiceError extends Error {
+    /**
+     * Create a new memory service error
+     * @param {string} message - Error message returned to the client
+     * @param {number} [status=500] - HTTP status code for the response
+     */
+    constructor(message, status = 500) {
+        super(message);
+        this.name = 'MemoryServiceError';
+        this.status = status;
+    }
+}
+
+/**
+ * Storage backend contract for memories
+ *
+ * Backends receive already validated input from MCPMemoryService and return
+ * memories in the wrapper format: {id, content, metadata, tags, namespace, created_at, updated_at}.
+ * Subclasses must implement every method that throws here.
+ */
+class MemoryBackend {
+    /**
+     * Create a new backend
+     * @param {Object} [options={}] - Backend options
+     * @param {string} [options.dataDir] - Directory for persistent data
+     * @param {string} [options.durability] - 'sync' to confirm writes once on disk, 'batched' to confirm them immediately
+     * @param {StorageCipher} [options.cipher] - Cipher for data written to disk, from MCP_ENCRYPTION_KEY by default
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.dataDir = options.dataDir || process.env.DATA_DIR || '/data';
+        this.durability = options.durability || process.env.MCP_WRITE_DURABILITY || 'sync';
+        if (!['sync', 'batched'].includes(this.durability)) {
+            throw new Error(`Unknown write durability mode: ${this.durability}`);
+        }
+        this.cipher = options.cipher || StorageCipher.fromEnv();
+    }
+
+    /**
+     * Name reported as `backend` in stats
+     * @returns {string}
+     */
+    get name() {
+        return this.constructor.name;
+    }
+
+    /**
+     * Service mode reported by /health and stats
+     * @returns {string} 'fallback' for storage handled inside the wrapper
+     */
+    get mode() {
+        return 'fallback';
+    }
+
+    /**
+     * Whether memories can be changed after they are stored
+     * Backends returning true implement update
+     * @returns {boolean}
+     */
+    get supportsUpdate() {
+        return false;
+    }
+
+    /**
+     * Whether deletes can move memories to a trash instead of removing them
+     * Backends returning true implement trash, restore, getTrashed, listTrash and purgeTrash
+     * @returns {boolean}
+     */
+    get supportsTrash() {
+        return false;
+    }
+
+    /**
+     * Whether memories can expire
+     * Backends returning true store expires_at, leave expired memories out of search and list, and implement listExpired
+     * @returns {boolean}
+     */
+    get supportsExpiry() {
+        return false;
+    }
+
+    /**
+     * Whether memories can have an importance and be pinned
+     * Backends returning true store importance and pinned from store and update,
+     * and give search results for a query a relevance score
+     * @returns {boolean}
+     */
+    get supportsRanking() {
+        return false;
+    }
+
+    /**
+     * Whether memories can be kept in namespaces other than the default one
+     * Backends returning true store namespace and scope findDuplicate, search, list, listTrash and stats to it
+     * @returns {boolean}
+     */
+    get supportsNamespaces() {
+        return false;
+    }
+
+    /**
+     * Build a new memory in the wrapper format for local backends
+     * Optional fields are only set when given, and pinned only when true
+     * @param {Object} input - Memory input {content, metadata, tags, namespace, expires_at, importance, pinned}
+     * @returns {Object} The memory with a new ID and timestamps
+     */
+    newMemory({ content, metadata, tags, namespace, expires_at, importance, pinned }) {
+        const now = new Date().toISOString();
+        return {
+            id: generateMemoryId(),
+            content,
+            metadata,
+            tags,
+            namespace: namespace || DEFAULT_NAMESPACE,
+            created_at: now,
+            updated_at: now,
+            ...(expires_at && { expires_at }),
+            ...(importance !== undefined && { importance }),
+            ...(pinned && { pinned })
+        };
+    }
+
+    /**
+     * Open the backend, loading or connecting to its storage
+     * @returns {Promise<void>}
+     */
+    async open() {}
+
+    /**
+     * Store a new memory
+     * @param {Object} memory - Memory input
+     * @param {string} memory.content - The memory content
+     * @param {Object} memory.metadata - Metadata for the memory
+     * @param {string[]} memory.tags - Tags for the memory
+     * @param {string} [memory.namespace] - Namespace of the memory, the default namespace if omitted
+     * @param {string} [memory.expires_at] - ISO timestamp after which the memory expires
+     * @param {number} [memory.importance] - Importance from 0 to 1
+     * @param {boolean} [memory.pinned] - Whether the memory is ranked before all others
+     * @returns {Promise<Object>} The stored memory
+     */
+    async store(memory) {
+        throw new MemoryServiceError(`${this.name} does not implement store`, 501);
+    }
+
+    /**
+     * Store several memories, persisting them together where the storage allows it
+     * The default implementation stores them one at a time and reports failures per item.
+     * @param {Array<Object>} memories - Memory inputs {content, metadata, tags, namespace, expires_at, importance, pinned}
+     * @returns {Promise<Array<Object|Error>>} For each input, the stored memory or the error that prevented storing it
+     */
+    async storeMany(memories) {
+        const results = [];
+        for (const memory of memories) {
+            try {
+                results.push(await this.store(memory));
+            } catch (error) {
+                results.push(error);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Get a memory by ID
+     * @param {string} id - The memory ID
+     * @returns {Promise<Object|null>} The memory, or null if it does not exist or is in the trash
+     */
+    async get(id) {
+        throw new MemoryServiceError(`${this.name} does not implement get`, 501);
+    }
+
+    /**
+     * Find an active memory whose content only differs in whitespace or case
+     * Backends that cannot look this up return null, which disables duplicate detection
+     * @param {string} content - Content of the memory about to be stored
+     * @param {string} namespace - Namespace the memory is about to be stored in
+     * @returns {Promise<Object|null>} The oldest such memory in that namespace, or null
+     */
+    async findDuplicate(content, namespace) {
+        return null;
+    }
+
+    /**
+     * Update fields of an existing memory
+     * @param {string} id - The memory ID
+     * @param {Object} changes - Fields to replace (content, metadata, tags, importance, pinned)
+     * @returns {Promise<Object>} The updated memory
+     * @throws {MemoryServiceError} 404 if the memory does not exist
+     */
+    async update(id, changes) {
+        throw new MemoryServiceError(`${this.name} does not implement update`, 501);
+    }
+
+    /**
+     * Permanently delete a memory by ID, whether or not it is in the trash
+     * @param {string} id - The memory ID
+     * @returns {Promise<boolean>} True if deleted
+     * @throws {MemoryServiceError} 404 if the memory does not exist
+     */
+    async delete(id) {
+        throw new MemoryServiceError(`${this.name} does not implement delete`, 501);
+    }
+
+    /**
+     * Move a memory to the trash by setting its deleted_at timestamp
+     * Trashed memories are left out of get, update, search and list
+     * @param {string} id - The memory ID
+     * @returns {Promise<Object>} The trashed memory
+     * @throws {MemoryServiceError} 404 if the memory does not exist or is already in the trash
+     */
+    async trash(id) {
+        throw new MemoryServiceError(`${this.name} does not implement trash`, 501);
+    }
+
+    /**
+     * Move a memory out of the trash
+     * An expiry that has passed is cleared, so the memory is not swept again
+     * @param {string} id - The memory ID
+     * @returns {Promise<Object>} The restored memory
+     * @throws {MemoryServiceError} 404 if the memory is not in the trash
+     */
+    async restore(id) {
+        throw new MemoryServiceError(`${this.name} does not implement restore`, 501);
+    }
+
+    /**
+     * Get a memory in the trash by ID
+     * @param {string} id - The memory ID
+     * @returns {Promise<Object|null>} The memory, or null if it is not in the trash
+     */
+    async getTrashed(id) {
+        throw new MemoryServiceError(`${this.name} does not implement getTrashed`, 501);
+    }
+
+    /**
+     * List memories in the trash, most recently deleted first
+     * @param {Object} params - Pagination parameters
+     * @param {number} params.limit - Maximum number of memories
+     * @param {number} params.offset - Number of memories to skip
+     * @param {string} [params.namespace] - Only list memories in this namespace
+     * @returns {Promise<Object>} {memories, total, offset, limit}
+     */
+    async listTrash(params) {
+        throw new MemoryServiceError(`${this.name} does not implement listTrash`, 501);
+    }
+
+    /**
+     * Permanently remove memories that were moved to the trash before a given time
+     * @param {string} before - ISO timestamp
+     * @returns {Promise<string[]>} IDs of the removed memories
+     */
+    async purgeTrash(before) {
+        throw new MemoryServiceError(`${this.name} does not implement purgeTrash`, 501);
+    }
+
+    /**
+     * List memories that expired but are not in the trash
+     * @param {string} now - ISO timestamp; memories with expires_at at or before it have expired
+     * @returns {Promise<Array>} The expired memories
+     */
+    async listExpired(now) {
+        throw new MemoryServiceError(`${this.name} does not implement listExpired`, 501);
+    }
+
+    /**
+     * Search memories by query and tags
+     * @param {Object} params - Search parameters
+     * @param {string} [params.query] - Search query string; for structured queries, the words to score matches with
+     * @param {Object|null} [params.filter] - Filter tree of a structured query from parseQuery(), evaluated with matchesFilter()
+     * @param {string[]} params.tags - Tags to filter by (any match)
+     * @param {number} params.limit - Maximum number of results
+     * @param {string} [params.namespace] - Only search memories in this namespace
+     * @param {string} [params.mode='keyword'] - 'keyword', 'semantic' or 'hybrid'; backends without vectors may ignore it
+     * @returns {Promise<Array>} Matching memories; backends that support ranking add a relevance `score` and/or
+     *                           vector `similarity` when a query is given
+     */
+    async search(params) {
+        throw new MemoryServiceError(`${this.name} does not implement search`, 501);
+    }
+
+    /**
+     * List memories newest first with pagination
+     * @param {Object} params - Pagination parameters
+     * @param {number} params.limit - Maximum number of memories
+     * @param {number} params.offset - Number of memories to skip
+     * @param {string} [params.namespace] - Only list memories in this namespace
+     * @returns {Promise<Object>} {memories, total, offset, limit}
+     */
+    async list(params) {
+        throw new MemoryServiceError(`${this.name} does not implement list`, 501);
+    }
+
+    /**
+     * Get every stored memory including the trash, used for snapshots
+     * @returns {Promise<Array>} All memories in the wrapper format
+     */
+    async exportAll() {
+        throw new MemoryServiceError(`${this.name} does not implement exportAll`, 501);
+    }
+
+    /**
+     * Replace all stored memories, used to restore snapshots
+     * @param {Array} memories - Memories in the wrapper format
+     * @returns {Promise<void>}
+     */
+    async replaceAll(memories) {
+        throw new MemoryServiceError(`${this.name} does not implement replaceAll`, 501);
+    }
+
+    /**
+     * Get storage statistics
+     * @param {Object} [params={}] - Statistics parameters
+     * @param {string} [params.namespace] - Only count memories in this namespace
+     * @returns {Promise<Object>} At least {backend, total_memories}
+     */
+    async stats(params = {}) {
+        throw new MemoryServiceError(`${this.name} does not implement stats`, 501);
+    }
+
+    /**
+     * Release resources held by the backend, writing out any pending changes first
+     * @returns {Promise<void>}
+     */
+    async close() {}
+}
+
+module.exports = { MemoryBackend, MemoryServiceError };
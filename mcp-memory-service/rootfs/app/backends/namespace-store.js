@@ -0,0 +1,149 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { writeFileAtomic } = require('./atomic-file');
+const { StorageCipher } = require('./storage-cipher');
+
+// Namespace of memories stored without one; it always exists and cannot be deleted
+const DEFAULT_NAMESPACE = 'default';
+
+// Namespace names are lowercase identifiers that are safe in URL paths
+const NAMESPACE_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * Place memories stored before namespaces existed in the default namespace
+ * @param {Object[]} memories - Memories to check, modified in place
+ * @returns {Object[]} The same memories
+ */
+function assignDefaultNamespace(memories) {
+    for (const memory of memories) {
+        if (!memory.namespace) {
+            memory.namespace = DEFAULT_NAMESPACE;
+        }
+    }
+    return memories;
+}
+
+/**
+ * Registry of memory namespaces, kept in DATA_DIR/namespaces.json
+ *
+ * Memories record the namespace they belong to; this registry only lists which
+ * namespaces exist, so memories can only be stored in namespaces created first.
+ */
+class NamespaceStore {
+    /**
+     * Create a namespace store
+     * @param {Object} options - Namespace options
+     * @param {string} options.dataDir - Directory holding namespaces.json
+     * @param {StorageCipher} [options.cipher] - Cipher for the namespaces file
+     */
+    constructor(options) {
+        this.file = path.join(options.dataDir, 'namespaces.json');
+        this.cipher = options.cipher || new StorageCipher();
+        this.namespaces = new Map();
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load the namespaces file
+     * @returns {Promise<void>}
+     * @throws {Error} If the file is damaged, since memories in unlisted namespaces could no longer be reached
+     * @throws {EncryptionKeyError} If the file is encrypted with a key that is not configured
+     */
+    async open() {
+        let data;
+        try {
+            data = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+
+        let namespaces;
+        try {
+            namespaces = JSON.parse(this.cipher.decode(data)).namespaces;
+        } catch (error) {
+            namespaces = null;
+        }
+        if (!Array.isArray(namespaces)) {
+            throw new Error(`${this.file} is damaged; fix or remove it to start`);
+        }
+        namespaces.forEach(namespace => this.namespaces.set(namespace.name, namespace));
+        if (this.cipher.stale) {
+            await this.save();
+        }
+    }
+
+    /**
+     * List all namespaces, the default namespace first
+     * @returns {Array} Namespaces {name, created_at, created_by}
+     */
+    list() {
+        return [{ name: DEFAULT_NAMESPACE, created_at: null, created_by: null }, ...this.namespaces.values()];
+    }
+
+    /**
+     * Check whether a namespace exists
+     * @param {string} name - Namespace name
+     * @returns {boolean}
+     */
+    has(name) {
+        return name === DEFAULT_NAMESPACE || this.namespaces.has(name);
+    }
+
+    /**
+     * Create a namespace
+     * @param {string} name - Namespace name, already validated and not existing
+     * @param {Object|null} createdBy - Who created the namespace {auth_method, user}
+     * @returns {Promise<Object>} The namespace {name, created_at, created_by}
+     */
+    async add(name, createdBy) {
+        const namespace = { name, created_at: new Date().toISOString(), created_by: createdBy };
+        this.namespaces.set(name, namespace);
+        try {
+            await this.save();
+        } catch (error) {
+            this.namespaces.delete(name);
+            throw error;
+        }
+        return namespace;
+    }
+
+    /**
+     * Remove a namespace from the registry
+     * @param {string} name - Namespace name
+     * @returns {Promise<void>}
+     */
+    async remove(name) {
+        const namespace = this.namespaces.get(name);
+        this.namespaces.delete(name);
+        try {
+            await this.save();
+        } catch (error) {
+            this.namespaces.set(name, namespace);
+            throw error;
+        }
+    }
+
+    /**
+     * Atomically write the registry after previously queued writes
+     * @returns {Promise<void>}
+     */
+    save() {
+        const write = this.writeQueue.then(() => writeFileAtomic(this.file,
+            this.cipher.encode(JSON.stringify({ namespaces: [...this.namespaces.values()] }))));
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Wait for pending writes
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.writeQueue;
+    }
+}
+
+module.exports = { NamespaceStore, DEFAULT_NAMESPACE, NAMESPACE_PATTERN, assignDefaultNamespace };
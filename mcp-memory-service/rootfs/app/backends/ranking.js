@@ -0,0 +1,117 @@
+const { embed, cosineSimilarity } = require('./embedding');
+const { matchesFilter } = require('./search-query');
+
+// How search queries are matched: by their words, by vector similarity, or both
+const SEARCH_MODES = ['hybrid', 'keyword', 'semantic'];
+
+// Lowest cosine similarity of a memory to the query for a semantic match
+const SEMANTIC_MIN_SIMILARITY = parseFloat(process.env.MCP_SEMANTIC_MIN_SIMILARITY || '0.25');
+
+// Importance of memories stored without one
+const DEFAULT_IMPORTANCE = 0.5;
+
+// Weights of relevance, importance and recency in the score
+const RELEVANCE_WEIGHT = 0.4;
+const IMPORTANCE_WEIGHT = 0.3;
+const RECENCY_WEIGHT = 0.3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Relevance of a memory to the query, from 0 to 1
+ * The BM25 score counts relative to the best match; with a similarity as well, both count half
+ * @param {Object} memory - Matching memory with the `score` and `similarity` given by the backend
+ * @param {number} bestScore - Highest BM25 score among the matches; 0 when none has one
+ * @returns {number} 1 for every memory when the search had no query
+ */
+function relevance(memory, bestScore) {
+    const keyword = bestScore > 0 && memory.score !== undefined ? memory.score / bestScore : undefined;
+    if (memory.similarity === undefined) {
+        return keyword ?? 1;
+    }
+    const similarity = Math.max(0, memory.similarity);
+    return keyword === undefined ? similarity : (keyword + similarity) / 2;
+}
+
+/**
+ * Highest BM25 score among memories
+ * @param {Array} memories - Memories, with or without a score
+ * @returns {number} 0 if none has a score
+ */
+function bestScoreOf(memories) {
+    return memories.reduce((best, memory) => Math.max(best, memory.score || 0), 0);
+}
+
+/**
+ * Select the memories matching a search query and order them by relevance, newest first on ties
+ * Shared by the local backends, which pass the candidates left after their own filters
+ * @param {Array} memories - Active memories in the searched namespace that carry the requested tags
+ * @param {Object} search - Search options
+ * @param {string} [search.query] - Search query, or the text of a structured query to score its matches
+ * @param {Object|null} [search.filter] - Filter tree of a structured query; when given, it alone decides which memories match
+ * @param {string} [search.mode='keyword'] - keyword: memories containing a word of the query, scored by BM25;
+ *                                           semantic: memories whose vector has a cosine similarity of at least
+ *                                           MCP_SEMANTIC_MIN_SIMILARITY to the query; hybrid: either
+ * @param {Object} search.index - BM25 scores of the backend: a SearchIndex, or any object whose score(query)
+ *                                returns the scores of matching memories by ID
+ * @param {Function} search.vectorOf - Returns the vector of a memory
+ * @returns {Array} Copies of the matching memories with their `score` (keyword and hybrid) and `similarity` (semantic and hybrid)
+ */
+function matchMemories(memories, { query, filter = null, mode = 'keyword', index, vectorOf }) {
+    const scores = query && mode !== 'semantic' ? index.score(query) : null;
+    const queryVector = query && mode !== 'keyword' ? embed(query) : null;
+    const matches = [];
+    for (const memory of memories) {
+        const match = { ...memory };
+        if (scores) {
+            match.score = scores.get(memory.id) || 0;
+        }
+        if (queryVector) {
+            match.similarity = cosineSimilarity(queryVector, vectorOf(memory));
+        }
+        if (filter ? matchesFilter(memory, filter) : match.score > 0 || match.similarity >= SEMANTIC_MIN_SIMILARITY) {
+            matches.push(match);
+        }
+    }
+    const bestScore = bestScoreOf(matches);
+    return matches.sort((a, b) => relevance(b, bestScore) - relevance(a, bestScore) ||
+        new Date(b.created_at) - new Date(a.created_at));
+}
+
+/**
+ * Recency of a memory, halving every half-life since it was last updated
+ * @param {Object} memory - Memory
+ * @param {number} now - Current time in milliseconds
+ * @param {number} halfLifeDays - Half-life in days
+ * @returns {number} 1 for a memory updated now, approaching 0 with age
+ */
+function recency(memory, now, halfLifeDays) {
+    const ageDays = Math.max(0, now - new Date(memory.updated_at || memory.created_at).getTime()) / DAY_MS;
+    return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+/**
+ * Order search results: pinned memories first, then by a score blending relevance,
+ * importance and recency; ties go to the newest memory
+ * @param {Array} memories - Memories matching the search, with a BM25 `score` and vector `similarity` when the search had a query
+ * @param {Object} options - Ranking options
+ * @param {number} options.halfLifeDays - Days after which recency counts half
+ * @returns {Array} The memories in ranked order
+ */
+function rankMemories(memories, { halfLifeDays }) {
+    const now = Date.now();
+    const bestScore = bestScoreOf(memories);
+    return memories
+        .map(memory => ({
+            memory,
+            score: RELEVANCE_WEIGHT * relevance(memory, bestScore) +
+                IMPORTANCE_WEIGHT * (memory.importance ?? DEFAULT_IMPORTANCE) +
+                RECENCY_WEIGHT * recency(memory, now, halfLifeDays)
+        }))
+        .sort((a, b) => (b.memory.pinned === true) - (a.memory.pinned === true) ||
+            b.score - a.score ||
+            new Date(b.memory.created_at) - new Date(a.memory.created_at))
+        .map(({ memory }) => memory);
+}
+
+module.exports = { rankMemories, matchMemories, SEARCH_MODES, SEMANTIC_MIN_SIMILARITY, DEFAULT_IMPORTANCE };
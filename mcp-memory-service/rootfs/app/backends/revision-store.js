@@ -0,0 +1,175 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { writeFileAtomic } = require('./atomic-file');
+const { StorageCipher, EncryptionKeyError } = require('./storage-cipher');
+
+/**
+ * Revision history of memories, kept in DATA_DIR/revisions.journal
+ *
+ * Each line records the state of a memory after a mutation together with who
+ * made it. Only the last MCP_REVISION_LIMIT revisions per memory are kept; the
+ * file is rewritten without older ones when it is opened.
+ */
+class RevisionStore {
+    /**
+     * Create a revision store
+     * @param {Object} options - Revision options
+     * @param {string} options.dataDir - Directory holding revisions.journal
+     * @param {StorageCipher} [options.cipher] - Cipher for journal lines
+     * @param {string} [options.durability] - 'sync' to fsync each revision, from MCP_WRITE_DURABILITY
+     * @param {number} [options.revisionLimit] - Revisions kept per memory, from MCP_REVISION_LIMIT (default 20)
+     */
+    constructor(options) {
+        this.file = path.join(options.dataDir, 'revisions.journal');
+        this.cipher = options.cipher || new StorageCipher();
+        this.durability = options.durability || process.env.MCP_WRITE_DURABILITY || 'sync';
+        this.limit = options.revisionLimit ?? parseInt(process.env.MCP_REVISION_LIMIT || '20');
+        this.revisions = new Map();
+        this.handle = null;
+        this.pendingLines = [];
+        this.pendingWrite = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load the revision journal
+     * Damaged lines are skipped, since revisions are a history rather than the memories themselves
+     * @returns {Promise<void>}
+     * @throws {EncryptionKeyError} If the journal is encrypted with a key that is not configured
+     */
+    async open() {
+        let data = '';
+        try {
+            data = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        let lines = 0;
+        let skipped = 0;
+        for (const line of data.split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+            lines++;
+            try {
+                this.add(JSON.parse(this.cipher.decode(line)));
+            } catch (error) {
+                if (error instanceof EncryptionKeyError) {
+                    throw error;
+                }
+                skipped++;
+            }
+        }
+        if (skipped > 0) {
+            console.warn(`Skipped ${skipped} damaged entries of ${this.file}`);
+        }
+
+        const kept = [...this.revisions.values()].reduce((total, history) => total + history.length, 0);
+        if (kept < lines || this.cipher.stale) {
+            await this.rewrite();
+        }
+        this.handle = await fs.open(this.file, 'a');
+    }
+
+    /**
+     * Add a revision to the in-memory history, dropping the oldest beyond the limit
+     * @param {Object} revision - Revision entry
+     */
+    add(revision) {
+        const history = this.revisions.get(revision.memory_id) || [];
+        history.push(revision);
+        if (history.length > this.limit) {
+            history.splice(0, history.length - this.limit);
+        }
+        this.revisions.set(revision.memory_id, history);
+    }
+
+    /**
+     * Atomically rewrite the journal with the retained revisions
+     * @returns {Promise<void>}
+     */
+    async rewrite() {
+        const lines = [...this.revisions.values()].flat()
+            .map(revision => `${this.cipher.encode(JSON.stringify(revision))}\n`);
+        await writeFileAtomic(this.file, lines.join(''));
+    }
+
+    /**
+     * Get the revisions of a memory, oldest first
+     * @param {string} memoryId - The memory ID
+     * @returns {Array} Revisions {rev, memory_id, op, content, metadata, tags, namespace, changed_at, changed_by}
+     */
+    list(memoryId) {
+        return [...(this.revisions.get(memoryId) || [])];
+    }
+
+    /**
+     * Get one revision of a memory
+     * @param {string} memoryId - The memory ID
+     * @param {number} rev - Revision number
+     * @returns {Object|null} The revision, or null if it does not exist or was dropped
+     */
+    get(memoryId, rev) {
+        return this.list(memoryId).find(revision => revision.rev === rev) || null;
+    }
+
+    /**
+     * Record the state of a memory after a mutation
+     * Revisions recorded while a write is pending are appended together with it
+     * @param {Object} memory - The memory after the mutation
+     * @param {string} op - 'baseline', 'store', 'update', 'revert' or 'delete'
+     * @param {Object|null} changedBy - Who made the change {auth_method, user}
+     * @param {Object} [extra={}] - Additional fields for the entry, e.g. reverted_to
+     * @returns {Promise<Object>} The recorded revision
+     * @throws {Error} If the revision could not be written; it is still kept in memory
+     */
+    record(memory, op, changedBy, extra = {}) {
+        const history = this.revisions.get(memory.id) || [];
+        const revision = {
+            rev: history.length > 0 ? history[history.length - 1].rev + 1 : 1,
+            memory_id: memory.id,
+            op,
+            content: memory.content,
+            metadata: memory.metadata,
+            tags: memory.tags,
+            importance: memory.importance ?? null,
+            pinned: Boolean(memory.pinned),
+            namespace: memory.namespace,
+            changed_at: new Date().toISOString(),
+            changed_by: changedBy,
+            ...extra
+        };
+        this.add(revision);
+
+        this.pendingLines.push(`${this.cipher.encode(JSON.stringify(revision))}\n`);
+        if (!this.pendingWrite) {
+            this.pendingWrite = this.writeQueue.then(async () => {
+                // Later revisions start the next write
+                this.pendingWrite = null;
+                await this.handle.appendFile(this.pendingLines.splice(0).join(''));
+                if (this.durability === 'sync') {
+                    await this.handle.sync();
+                }
+            });
+            this.writeQueue = this.pendingWrite.catch(() => {});
+        }
+        return this.pendingWrite.then(() => revision);
+    }
+
+    /**
+     * Wait for pending writes and close the journal
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.handle) {
+            await this.writeQueue;
+            await this.handle.close();
+            this.handle = null;
+        }
+    }
+}
+
+module.exports = RevisionStore;
@@ -0,0 +1,117 @@
+const { stem } = require('./stemmer');
+
+// BM25 parameters: term frequency saturation and document length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Split text into search terms
+ * Text is lowercased, accents are removed, words are split on anything that is not a letter or digit and stemmed
+ * with the Porter algorithm
+ * @param {string} text - Text to split
+ * @returns {string[]} Terms in order of appearance
+ */
+function tokenize(text) {
+    return text.normalize('NFKD').toLowerCase().replace(/\p{M}/gu, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+        .map(stem);
+}
+
+/**
+ * In-memory inverted index of memory content, scored with Okapi BM25
+ *
+ * Backends add memories when they are stored or their content changes and remove
+ * them when they are deleted; the index is rebuilt from storage when a backend opens.
+ */
+class SearchIndex {
+    constructor() {
+        this.postings = new Map();
+        this.documents = new Map();
+        this.totalLength = 0;
+    }
+
+    /**
+     * Number of indexed memories
+     * @returns {number}
+     */
+    get size() {
+        return this.documents.size;
+    }
+
+    /**
+     * Index the content of a memory, replacing what was indexed for it before
+     * @param {string} id - The memory ID
+     * @param {string} content - The memory content
+     */
+    add(id, content) {
+        this.remove(id);
+        const terms = tokenize(content);
+        const frequencies = new Map();
+        for (const term of terms) {
+            frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        }
+        for (const [term, frequency] of frequencies) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(id, frequency);
+        }
+        this.documents.set(id, { length: terms.length, terms: [...frequencies.keys()] });
+        this.totalLength += terms.length;
+    }
+
+    /**
+     * Remove a memory from the index
+     * @param {string} id - The memory ID
+     */
+    remove(id) {
+        const document = this.documents.get(id);
+        if (!document) {
+            return;
+        }
+        for (const term of document.terms) {
+            const posting = this.postings.get(term);
+            posting.delete(id);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+        this.totalLength -= document.length;
+        this.documents.delete(id);
+    }
+
+    /**
+     * Remove all memories from the index
+     */
+    clear() {
+        this.postings.clear();
+        this.documents.clear();
+        this.totalLength = 0;
+    }
+
+    /**
+     * Score the memories containing any term of a query
+     * @param {string} query - Search query
+     * @returns {Map<string, number>} BM25 score by memory ID, only for memories matching at least one term
+     */
+    score(query) {
+        const scores = new Map();
+        const averageLength = this.totalLength / this.documents.size || 1;
+        for (const term of new Set(tokenize(query))) {
+            const posting = this.postings.get(term);
+            if (!posting) {
+                continue;
+            }
+            const idf = Math.log(1 + (this.documents.size - posting.size + 0.5) / (posting.size + 0.5));
+            for (const [id, frequency] of posting) {
+                const length = this.documents.get(id).length;
+                const termScore = idf * frequency * (K1 + 1) / (frequency + K1 * (1 - B + B * length / averageLength));
+                scores.set(id, (scores.get(id) || 0) + termScore);
+            }
+        }
+        return scores;
+    }
+}
+
+module.exports = { SearchIndex, tokenize };
@@ -0,0 +1,422 @@
+const { MemoryServiceError } = require('./memory-backend');
+const { tokenize } = require('./search-index');
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+// Fields written as <field>:<value>; other words containing a colon are searched as text
+const FIELD_PATTERN = /^(tag|created|updated|meta\.[^:]+):/i;
+const COMPARISON_PATTERN = /^(>=|<=|>|<|=)?(.*)$/;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised for a malformed search query, carrying the offset where parsing failed
+ */
+class QuerySyntaxError extends MemoryServiceError {
+    /**
+     * Create a new query syntax error
+     * @param {string} message - What is wrong
+     * @param {number} position - Character offset in the query, from 0
+     */
+    constructor(message, position) {
+        super(`${message} at position ${position}`, 400);
+        this.name = 'QuerySyntaxError';
+        this.position = position;
+    }
+}
+
+/**
+ * Split a query into words, phrases, fields, operators and parentheses
+ * Words without letters or digits are dropped, as search ignores them anyway. A `-` only negates
+ * when a letter or quote follows, so numbers such as `-5` stay words.
+ * @param {string} query - Search query
+ * @param {Object} [options={}] - Lexer options
+ * @param {boolean} [options.phrases=true] - Read quoted phrases; if false, quotes separate words
+ * @returns {Array} Tokens {type, position, end, ...}
+ * @throws {QuerySyntaxError} If a quote is not closed
+ */
+function lex(query, { phrases = true } = {}) {
+    const tokens = [];
+    let position = 0;
+    const readPhrase = (start) => {
+        const end = query.indexOf('"', start + 1);
+        if (end === -1) {
+            throw new QuerySyntaxError('Unterminated phrase', start);
+        }
+        position = end + 1;
+        return query.slice(start + 1, end);
+    };
+
+    while (position < query.length) {
+        const char = query[position];
+        const start = position;
+        const count = tokens.length;
+        if (/\s/.test(char) || (char === '"' && !phrases)) {
+            position++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char, position: start });
+            position++;
+        } else if (char === '"') {
+            tokens.push({ type: 'phrase', value: readPhrase(start), position: start });
+        } else if (char === '-' && /[\p{L}"]/u.test(query[position + 1] || '')) {
+            tokens.push({ type: 'minus', position: start });
+            position++;
+        } else {
+            while (position < query.length && !/[\s()"]/.test(query[position])) {
+                position++;
+            }
+            const word = query.slice(start, position);
+            const field = FIELD_PATTERN.exec(word);
+            if (OPERATORS.has(word)) {
+                tokens.push({ type: word, position: start });
+            } else if (field) {
+                const quoted = phrases && word === field[0] && query[position] === '"';
+                tokens.push({
+                    type: 'field',
+                    field: field[1],
+                    value: quoted ? readPhrase(position) : word.slice(field[0].length),
+                    position: start,
+                    valuePosition: start + field[0].length
+                });
+            } else if (tokenize(word).length > 0) {
+                tokens.push({ type: 'word', value: word, position: start });
+            }
+        }
+        if (tokens.length > count) {
+            tokens[count].end = position;
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parse the value of a created: or updated: field
+ * A date covers the whole day (UTC), a timestamp a single millisecond, so `created:>2024-01-01`
+ * means from January 2 and `created:2024-01-01` anywhere on January 1.
+ * @param {string} field - created or updated
+ * @param {string} value - Value with an optional >, >=, <, <= or = comparison
+ * @param {number} position - Offset of the value in the query
+ * @returns {Object} Node {type: 'date', field, op, start, end} with start and end in milliseconds
+ * @throws {QuerySyntaxError} If the value is not a date or timestamp
+ */
+function parseDateField(field, value, position) {
+    const [, op = '=', text] = COMPARISON_PATTERN.exec(value);
+    let start = NaN;
+    let end = NaN;
+    if (DAY_PATTERN.test(text)) {
+        start = Date.parse(`${text}T00:00:00.000Z`);
+        // Date.parse rolls over days past the end of the month
+        if (!Number.isNaN(start) && new Date(start).toISOString().slice(0, 10) !== text) {
+            start = NaN;
+        }
+        end = start + DAY_MS;
+    } else if (TIMESTAMP_PATTERN.test(text)) {
+        start = Date.parse(text);
+        end = start + 1;
+    }
+    if (Number.isNaN(start)) {
+        throw new QuerySyntaxError(`Expected a date such as 2024-01-01 after ${field}:`, position + value.length - text.length);
+    }
+    return { type: 'date', field: `${field}_at`, op, start, end };
+}
+
+/**
+ * Build the filter node of a field token
+ * @param {Object} token - Field token
+ * @returns {Object} Filter node
+ * @throws {QuerySyntaxError} If the value is missing or invalid
+ */
+function fieldNode({ field, value, valuePosition }) {
+    const name = field.toLowerCase();
+    if (!value) {
+        throw new QuerySyntaxError(`Expected a value after ${field}:`, valuePosition);
+    }
+    if (name === 'tag') {
+        return { type: 'tag', value };
+    }
+    if (name === 'created' || name === 'updated') {
+        return parseDateField(name, value, valuePosition);
+    }
+    return { type: 'meta', path: field.slice('meta.'.length).split('.'), value };
+}
+
+/**
+ * Recursive descent parser over the tokens of a query
+ *
+ *     query   := or
+ *     or      := and ("OR" and)*
+ *     and     := unary (["AND"] unary)*
+ *     unary   := ("NOT" | "-") unary | primary
+ *     primary := "(" or ")" | phrase | field | word
+ */
+class QueryParser {
+    /**
+     * Create a parser for a query
+     * @param {string} query - Search query
+     * @throws {QuerySyntaxError} If a quote is not closed
+     */
+    constructor(query) {
+        this.query = query;
+        this.tokens = lex(query);
+        this.index = 0;
+        this.structured = this.tokens.some(token => token.type !== 'word');
+    }
+
+    /**
+     * The current token
+     * @returns {Object|undefined} Undefined at the end of the query
+     */
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    /**
+     * Consume the current token
+     * @returns {Object|undefined} The consumed token
+     */
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    /**
+     * Throw for the token at the current position, or for the end of the query
+     * @param {string} expected - What was expected instead
+     */
+    fail(expected) {
+        const token = this.peek();
+        if (!token) {
+            throw new QuerySyntaxError(`Expected ${expected}, but the query ended`, this.query.length);
+        }
+        throw new QuerySyntaxError(`Expected ${expected}, found "${this.query.slice(token.position, token.end)}"`, token.position);
+    }
+
+    /**
+     * Parse the whole query
+     * @returns {Object|null} The filter tree, or null for a query without terms
+     */
+    parse() {
+        if (this.tokens.length === 0) {
+            return null;
+        }
+        const tree = this.parseOr();
+        if (this.peek()) {
+            this.fail('AND, OR or the end of the query');
+        }
+        return tree;
+    }
+
+    /**
+     * Parse terms joined by OR
+     * @returns {Object} Filter node
+     */
+    parseOr() {
+        const children = [this.parseAnd()];
+        while (this.peek() && this.peek().type === 'OR') {
+            this.next();
+            children.push(this.parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    /**
+     * Parse terms joined by AND or written next to each other
+     * @returns {Object} Filter node
+     */
+    parseAnd() {
+        const children = [this.parseUnary()];
+        for (let token = this.peek(); token && token.type !== 'OR' && token.type !== ')'; token = this.peek()) {
+            if (token.type === 'AND') {
+                this.next();
+            }
+            children.push(this.parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    /**
+     * Parse a term with any number of NOT or - before it
+     * @returns {Object} Filter node
+     */
+    parseUnary() {
+        const token = this.peek();
+        if (token && (token.type === 'NOT' || token.type === 'minus')) {
+            this.next();
+            return { type: 'not', child: this.parseUnary() };
+        }
+        return this.parsePrimary();
+    }
+
+    /**
+     * Parse a parenthesized query, phrase, field or word
+     * @returns {Object} Filter node
+     */
+    parsePrimary() {
+        const token = this.peek();
+        if (!token || !['(', 'phrase', 'field', 'word'].includes(token.type)) {
+            this.fail('a search term');
+        }
+        this.next();
+        if (token.type === '(') {
+            const tree = this.parseOr();
+            if (!this.peek() || this.peek().type !== ')') {
+                this.fail('")"');
+            }
+            this.next();
+            return tree;
+        }
+        if (token.type === 'field') {
+            return fieldNode(token);
+        }
+        const terms = tokenize(token.value);
+        if (terms.length === 0) {
+            throw new QuerySyntaxError('Phrase has no words', token.position);
+        }
+        return { type: 'text', value: token.value, terms };
+    }
+}
+
+/**
+ * Collect the text a memory must contain, for scoring matches
+ * @param {Object} node - Filter node
+ * @param {boolean} negated - Whether the node is under an odd number of NOTs
+ * @returns {string[]} Words and phrases, leaving out excluded ones
+ */
+function searchTexts(node, negated = false) {
+    switch (node.type) {
+        case 'and':
+        case 'or':
+            return node.children.flatMap(child => searchTexts(child, negated));
+        case 'not':
+            return searchTexts(node.child, !negated);
+        case 'text':
+            return negated ? [] : [node.value];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Check whether a query uses operators, parentheses or fields, ignoring quotes
+ * @param {string} query - Search query
+ * @returns {boolean}
+ */
+function hasOperators(query) {
+    return lex(query, { phrases: false }).some(token => token.type !== 'word');
+}
+
+/**
+ * Parse a search query
+ * A query of plain words is returned as is, to be matched by any word or by similarity. Quoted phrases,
+ * AND/OR/NOT, a `-` before a word, parentheses and the fields `tag:`, `meta.<key>:`, `created:` and `updated:`
+ * turn it into a filter tree that memories must match, and its words and phrases are only used for scoring.
+ * A query that does not parse is searched as plain text too, unless it uses operators, parentheses or fields.
+ * @param {string} query - Search query
+ * @returns {{text: string, filter: Object|null}} Text to score matches with, and the filter tree or null for plain queries
+ * @throws {QuerySyntaxError} If a query with operators, parentheses or fields is malformed
+ */
+function parseQuery(query) {
+    let parser;
+    let filter;
+    try {
+        parser = new QueryParser(query);
+        filter = parser.parse();
+    } catch (error) {
+        // A stray quote, as in 6" pipe, is not meant as query syntax
+        if (error instanceof QuerySyntaxError && !hasOperators(query)) {
+            return { text: query, filter: null };
+        }
+        throw error;
+    }
+    if (!parser.structured) {
+        return { text: query, filter: null };
+    }
+    return { text: searchTexts(filter).join(' '), filter };
+}
+
+/**
+ * Check whether a sequence of terms appears in order in a list of terms
+ * @param {string[]} terms - Terms of the content
+ * @param {string[]} sequence - Terms to find
+ * @returns {boolean}
+ */
+function containsSequence(terms, sequence) {
+    for (let i = 0; i + sequence.length <= terms.length; i++) {
+        if (sequence.every((term, offset) => terms[i + offset] === term)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Check whether a metadata value equals the value of a meta. field, ignoring case
+ * Arrays match when any element does.
+ * @param {Object} metadata - Memory metadata
+ * @param {string[]} path - Keys leading to the value
+ * @param {string} expected - Value from the query
+ * @returns {boolean}
+ */
+function metadataMatches(metadata, path, expected) {
+    let value = metadata;
+    for (const key of path) {
+        if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+            return false;
+        }
+        value = value[key];
+    }
+    const values = Array.isArray(value) ? value : [value];
+    return values.some(item => item !== null && typeof item !== 'object' && String(item).toLowerCase() === expected.toLowerCase());
+}
+
+/**
+ * Check whether a date falls on the side of a date node's range given by its comparison
+ * @param {string} date - ISO timestamp of the memory
+ * @param {Object} node - Date node {op, start, end}
+ * @returns {boolean}
+ */
+function dateMatches(date, { op, start, end }) {
+    const time = new Date(date).getTime();
+    switch (op) {
+        case '>': return time >= end;
+        case '>=': return time >= start;
+        case '<': return time < start;
+        case '<=': return time < end;
+        default: return time >= start && time < end;
+    }
+}
+
+/**
+ * Evaluate a filter tree against a memory
+ * Words and phrases match content containing their terms in order, after the same case, accent and ending
+ * folding as search; tags match exactly.
+ * @param {Object} memory - Memory in the wrapper format
+ * @param {Object} filter - Filter tree from parseQuery()
+ * @returns {boolean}
+ */
+function matchesFilter(memory, filter) {
+    let terms;
+    const evaluate = (node) => {
+        switch (node.type) {
+            case 'and':
+                return node.children.every(evaluate);
+            case 'or':
+                return node.children.some(evaluate);
+            case 'not':
+                return !evaluate(node.child);
+            case 'text':
+                terms = terms || tokenize(memory.content);
+                return containsSequence(terms, node.terms);
+            case 'tag':
+                return memory.tags.includes(node.value);
+            case 'meta':
+                return metadataMatches(memory.metadata || {}, node.path, node.value);
+            case 'date':
+                return Boolean(memory[node.field]) && dateMatches(memory[node.field], node);
+            default:
+                return false;
+        }
+    };
+    return evaluate(filter);
+}
+
+module.exports = { parseQuery, matchesFilter, QuerySyntaxError };
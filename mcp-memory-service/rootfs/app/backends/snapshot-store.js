@@ -0,0 +1,247 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { MemoryServiceError } = require('./memory-backend');
+const { writeFileAtomic } = require('./atomic-file');
+const { parseStorage, serializeStorage, upgradeStorage } = require('./storage-schema');
+const { StorageCipher, EncryptionKeyError } = require('./storage-cipher');
+
+// How often the scheduler checks whether a snapshot is due
+const SNAPSHOT_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Snapshots taken before a restore, kept so a restore can be undone
+const PRE_RESTORE_KEEP = 5;
+
+// Snapshot IDs are `<kind>-<UTC timestamp with milliseconds>`, e.g. hourly-20261018T140000123Z;
+// earlier versions left out the milliseconds
+const SNAPSHOT_ID_PATTERN = /^(hourly|daily|pre-restore)-(\d{8}T\d{6}(?:\d{3})?Z)$/;
+
+/**
+ * Format a date as the compact UTC timestamp used in snapshot IDs
+ * @param {Date} date - Date to format
+ * @returns {string} Timestamp like 20261018T140000123Z
+ */
+function formatTimestamp(date) {
+    return date.toISOString().replace(/[-:.]/g, '');
+}
+
+/**
+ * Convert a snapshot timestamp to an ISO date string
+ * @param {string} timestamp - Timestamp from a snapshot ID
+ * @returns {string} ISO date like 2026-10-18T14:00:00.123Z
+ */
+function parseTimestamp(timestamp) {
+    const [, date, hours, minutes, seconds, milliseconds = '000'] =
+        timestamp.match(/^(\d{8})T(\d{2})(\d{2})(\d{2})(\d{3})?Z$/);
+    return `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}T${hours}:${minutes}:${seconds}.${milliseconds}Z`;
+}
+
+/**
+ * Rotating snapshots of all memories under DATA_DIR/snapshots
+ *
+ * Each snapshot is a storage envelope like memories.json, encrypted with the
+ * storage cipher when encryption is enabled. The scheduler takes at most one
+ * hourly snapshot per UTC hour and one daily snapshot per UTC day, and deletes
+ * the oldest ones beyond the configured retention.
+ */
+class SnapshotStore {
+    /**
+     * Create a snapshot store
+     * @param {Object} options - Snapshot options
+     * @param {string} options.dataDir - Directory holding the snapshots folder
+     * @param {StorageCipher} [options.cipher] - Cipher for snapshot files
+     * @param {number} [options.hourlyKeep] - Hourly snapshots to keep, from MCP_SNAPSHOT_HOURLY_KEEP (default 24)
+     * @param {number} [options.dailyKeep] - Daily snapshots to keep, from MCP_SNAPSHOT_DAILY_KEEP (default 7)
+     */
+    constructor(options) {
+        this.dir = path.join(options.dataDir, 'snapshots');
+        this.cipher = options.cipher || new StorageCipher();
+        this.retention = {
+            hourly: options.hourlyKeep ?? parseInt(process.env.MCP_SNAPSHOT_HOURLY_KEEP || '24'),
+            daily: options.dailyKeep ?? parseInt(process.env.MCP_SNAPSHOT_DAILY_KEEP || '7'),
+            'pre-restore': PRE_RESTORE_KEEP
+        };
+        this.timer = null;
+    }
+
+    /**
+     * Take due snapshots now and then check every minute
+     * @param {MemoryBackend} backend - Backend to snapshot
+     * @returns {Promise<void>}
+     */
+    async start(backend) {
+        const run = () => this.takeDueSnapshots(backend).catch(error =>
+            console.error('Error taking scheduled snapshot:', error.message));
+        await run();
+        this.timer = setInterval(run, SNAPSHOT_CHECK_INTERVAL_MS);
+        this.timer.unref();
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Take an hourly and a daily snapshot if none exists yet for the current hour and day
+     * @param {MemoryBackend} backend - Backend to snapshot
+     * @returns {Promise<void>}
+     */
+    async takeDueSnapshots(backend) {
+        const now = formatTimestamp(new Date());
+        const existing = await this.list();
+        const due = [
+            { kind: 'hourly', period: now.slice(0, 11) },
+            { kind: 'daily', period: now.slice(0, 8) }
+        ].filter(({ kind, period }) => this.retention[kind] > 0 &&
+            !existing.some(snapshot => snapshot.kind === kind && snapshot.timestamp.startsWith(period)));
+        if (due.length === 0) {
+            return;
+        }
+
+        const memories = await backend.exportAll();
+        for (const { kind } of due) {
+            await this.create(kind, memories);
+        }
+    }
+
+    /**
+     * Write a snapshot and prune older snapshots of the same kind
+     * @param {string} kind - 'hourly', 'daily' or 'pre-restore'
+     * @param {Array} memories - Memories to store
+     * @returns {Promise<Object>} The snapshot summary
+     */
+    async create(kind, memories) {
+        await fs.mkdir(this.dir, { recursive: true });
+        // Snapshots taken within the same millisecond, such as two quick restores, each get their own ID
+        const taken = new Set((await this.list()).map(snapshot => snapshot.id));
+        let time = Date.now();
+        while (taken.has(`${kind}-${formatTimestamp(new Date(time))}`)) {
+            time++;
+        }
+        const id = `${kind}-${formatTimestamp(new Date(time))}`;
+        await writeFileAtomic(this.fileFor(id), this.cipher.encode(serializeStorage(memories)));
+        console.log(`Created snapshot ${id} with ${memories.length} memories`);
+        await this.prune(kind);
+        return (await this.list()).find(snapshot => snapshot.id === id);
+    }
+
+    /**
+     * Delete the oldest snapshots of a kind beyond its retention
+     * @param {string} kind - Snapshot kind
+     * @returns {Promise<void>}
+     */
+    async prune(kind) {
+        const snapshots = (await this.list()).filter(snapshot => snapshot.kind === kind);
+        for (const snapshot of snapshots.slice(this.retention[kind])) {
+            await fs.rm(this.fileFor(snapshot.id), { force: true });
+        }
+    }
+
+    /**
+     * List snapshots newest first
+     * @returns {Promise<Array>} Snapshots {id, kind, timestamp, created_at, size}
+     */
+    async list() {
+        let files;
+        try {
+            files = await fs.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const snapshots = [];
+        for (const file of files) {
+            const match = path.extname(file) === '.json' && path.basename(file, '.json').match(SNAPSHOT_ID_PATTERN);
+            if (!match) {
+                continue;
+            }
+            const [id, kind, timestamp] = match;
+            const { size } = await fs.stat(path.join(this.dir, file));
+            snapshots.push({ id, kind, timestamp, created_at: parseTimestamp(timestamp), size });
+        }
+        // Timestamps with and without milliseconds do not sort as strings, so snapshots are ordered by date
+        return snapshots.sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+
+    /**
+     * Read the memories of a snapshot
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<Array>} Memories in the current format
+     * @throws {MemoryServiceError} 404 if the snapshot does not exist, 500 if it is damaged
+     */
+    async read(id) {
+        let data;
+        try {
+            data = await fs.readFile(this.fileFor(id), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new MemoryServiceError('Snapshot not found', 404);
+            }
+            throw error;
+        }
+
+        const document = parseStorage(this.cipher.decode(data));
+        if (!document) {
+            throw new MemoryServiceError(`Snapshot ${id} is damaged`, 500);
+        }
+        return upgradeStorage(document, this.fileFor(id));
+    }
+
+    /**
+     * Rewrite snapshots stored in plain text while a key is set, or with the previous key, with the current key
+     * Snapshots encrypted with a key that is not configured are left as they are.
+     * @returns {Promise<void>}
+     */
+    async reencrypt() {
+        if (!this.cipher.enabled && !this.cipher.previous) {
+            return;
+        }
+        let rewritten = 0;
+        for (const snapshot of await this.list()) {
+            const file = this.fileFor(snapshot.id);
+            const data = await fs.readFile(file, 'utf8');
+            // decode() marks the shared cipher stale for data under the previous key; check it for this snapshot alone
+            const wasStale = this.cipher.stale;
+            this.cipher.stale = false;
+            let plaintext = null;
+            try {
+                plaintext = this.cipher.decode(data);
+            } catch (error) {
+                if (!(error instanceof EncryptionKeyError)) {
+                    throw error;
+                }
+                console.warn(`Cannot re-encrypt snapshot ${snapshot.id}: ${error.message}`);
+            }
+            const stale = this.cipher.stale;
+            this.cipher.stale = wasStale;
+            if (plaintext !== null && stale) {
+                await writeFileAtomic(file, this.cipher.encode(plaintext));
+                rewritten++;
+            }
+        }
+        if (rewritten > 0) {
+            console.log(`${this.cipher.enabled ? 'Re-encrypted' : 'Decrypted'} ${rewritten} snapshots`);
+        }
+    }
+
+    /**
+     * Path of a snapshot file
+     * @param {string} id - Snapshot ID
+     * @returns {string}
+     * @throws {MemoryServiceError} 404 if the ID is not a valid snapshot ID
+     */
+    fileFor(id) {
+        if (!SNAPSHOT_ID_PATTERN.test(id)) {
+            throw new MemoryServiceError('Snapshot not found', 404);
+        }
+        return path.join(this.dir, `${id}.json`);
+    }
+}
+
+module.exports = SnapshotStore;
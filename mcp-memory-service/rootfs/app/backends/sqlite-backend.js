@@ -0,0 +1,650 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { MemoryBackend, MemoryServiceError } = require('./memory-backend');
+const { parseStorage, upgradeStorage } = require('./storage-schema');
+const { contentHash } = require('./content-hash');
+const { DEFAULT_NAMESPACE } = require('./namespace-store');
+const { EMBEDDING_MODEL, embed, cosineSimilarity, encodeVector, decodeVector } = require('./embedding');
+const { matchMemories, SEMANTIC_MIN_SIMILARITY } = require('./ranking');
+const { tokenize } = require('./search-index');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS memories (
+        id TEXT PRIMARY KEY,
+        content TEXT NOT NULL,
+        metadata TEXT NOT NULL DEFAULT '{}',
+        tags TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        legacy_id TEXT,
+        deleted_at TEXT,
+        content_hash TEXT,
+        expires_at TEXT,
+        importance REAL,
+        pinned INTEGER NOT NULL DEFAULT 0,
+        namespace TEXT NOT NULL DEFAULT 'default',
+        embedding BLOB,
+        terms TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_memories_created_at ON memories(created_at);
+
+    CREATE TABLE IF NOT EXISTS memory_tags (
+        memory_id TEXT NOT NULL REFERENCES memories(id) ON DELETE CASCADE,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (memory_id, tag)
+    );
+    CREATE INDEX IF NOT EXISTS idx_memory_tags_tag ON memory_tags(tag);
+
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+`;
+
+// Full-text index of the terms column, which holds the content as tokenize() splits it, separated by spaces.
+// Terms are only made of letters and digits, so the ascii tokenizer gives back exactly those terms, and the
+// index matches the same memories as the in-memory search. The value is recorded to rebuild older indexes.
+const FTS_TOKENIZER = 'ascii';
+const FTS_SCHEMA = `
+    CREATE VIRTUAL TABLE memories_fts USING fts5(
+        terms, content='memories', content_rowid='rowid', tokenize='${FTS_TOKENIZER}'
+    );
+    CREATE TRIGGER memories_fts_insert AFTER INSERT ON memories BEGIN
+        INSERT INTO memories_fts(rowid, terms) VALUES (new.rowid, new.terms);
+    END;
+    CREATE TRIGGER memories_fts_delete AFTER DELETE ON memories BEGIN
+        INSERT INTO memories_fts(memories_fts, rowid, terms) VALUES ('delete', old.rowid, old.terms);
+    END;
+    CREATE TRIGGER memories_fts_update AFTER UPDATE OF terms ON memories BEGIN
+        INSERT INTO memories_fts(memories_fts, rowid, terms) VALUES ('delete', old.rowid, old.terms);
+        INSERT INTO memories_fts(rowid, terms) VALUES (new.rowid, new.terms);
+    END;
+`;
+const FTS_DROP_SCHEMA = `
+    DROP TRIGGER IF EXISTS memories_fts_insert;
+    DROP TRIGGER IF EXISTS memories_fts_delete;
+    DROP TRIGGER IF EXISTS memories_fts_update;
+    DROP TABLE IF EXISTS memories_fts;
+`;
+
+// Columns added after the first release, created on databases that predate them
+const ADDED_COLUMNS = [
+    { name: 'deleted_at', definition: 'deleted_at TEXT', index: 'CREATE INDEX IF NOT EXISTS idx_memories_deleted_at ON memories(deleted_at)' },
+    { name: 'content_hash', definition: 'content_hash TEXT', index: 'CREATE INDEX IF NOT EXISTS idx_memories_content_hash ON memories(content_hash)' },
+    { name: 'expires_at', definition: 'expires_at TEXT', index: 'CREATE INDEX IF NOT EXISTS idx_memories_expires_at ON memories(expires_at)' },
+    { name: 'importance', definition: 'importance REAL' },
+    { name: 'pinned', definition: 'pinned INTEGER NOT NULL DEFAULT 0' },
+    { name: 'namespace', definition: "namespace TEXT NOT NULL DEFAULT 'default'", index: 'CREATE INDEX IF NOT EXISTS idx_memories_namespace ON memories(namespace)' },
+    { name: 'embedding', definition: 'embedding BLOB' },
+    { name: 'terms', definition: 'terms TEXT' }
+];
+
+// Condition matching memories that are neither in the trash nor expired, bound to the current time as @now
+const ACTIVE_CONDITION = 'deleted_at IS NULL AND (expires_at IS NULL OR expires_at > @now)';
+
+// Condition matching memories in the namespace bound as @namespace, or all memories when it is null
+const NAMESPACE_CONDITION = '(@namespace IS NULL OR namespace = @namespace)';
+
+/**
+ * Terms of a memory's content for the full-text index
+ * @param {string} content - Memory content
+ * @returns {string} The terms from tokenize(), separated by spaces
+ */
+function indexTerms(content) {
+    return tokenize(content).join(' ');
+}
+
+/**
+ * Build an FTS5 query matching any term of a text
+ * Each term is quoted, so words that are FTS5 operators in user input are matched literally
+ * @param {string} text - Search text
+ * @returns {string|null} The FTS5 query, or null if the text has no words
+ */
+function ftsQuery(text) {
+    const terms = [...new Set(tokenize(String(text)))];
+    return terms.length > 0 ? terms.map(term => `"${term}"`).join(' OR ') : null;
+}
+
+/**
+ * Translate a filter tree into an SQL condition on memories `m` that holds for every memory matching it
+ * Tags are checked exactly and words and phrases through the full-text index, which holds the same terms as
+ * matchesFilter() compares. Metadata values are searched for in the metadata JSON, so the candidates are still
+ * checked with matchesFilter(). Dates are left to it entirely.
+ * @param {Object} node - Filter node
+ * @param {boolean} [negated=false] - Whether the condition is for memories not matching the node
+ * @returns {{sql: string, params: Array}|null} The condition, or null if the node does not narrow the candidates
+ */
+function filterCondition(node, negated = false) {
+    const combine = (children, operator) => {
+        const conditions = children.map(child => filterCondition(child, negated));
+        // Leaving out a condition widens AND; OR is only narrowed when every branch is
+        const known = conditions.filter(Boolean);
+        if (known.length === 0 || (operator === 'OR' && known.length < conditions.length)) {
+            return null;
+        }
+        return { sql: `(${known.map(c => c.sql).join(` ${operator} `)})`, params: known.flatMap(c => c.params) };
+    };
+    switch (node.type) {
+        case 'and':
+            return combine(node.children, negated ? 'OR' : 'AND');
+        case 'or':
+            return combine(node.children, negated ? 'AND' : 'OR');
+        case 'not':
+            return filterCondition(node.child, !negated);
+        case 'tag':
+            return {
+                sql: `${negated ? 'NOT ' : ''}EXISTS (SELECT 1 FROM memory_tags t WHERE t.memory_id = m.id AND t.tag = ?)`,
+                params: [node.value]
+            };
+        case 'text':
+            return {
+                sql: `m.rowid ${negated ? 'NOT ' : ''}IN (SELECT rowid FROM memories_fts WHERE memories_fts MATCH ?)`,
+                params: [`"${node.terms.join(' ')}"`]
+            };
+        case 'meta':
+            // SQLite only lowercases ASCII, and JSON escapes quotes and backslashes, so other values are not searched
+            if (negated || !/^[\x20-\x7e]+$/.test(node.value) || /["\\]/.test(node.value)) {
+                return null;
+            }
+            return { sql: 'instr(lower(m.metadata), ?) > 0', params: [node.value.toLowerCase()] };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Memory backend storing memories in an SQLite database under DATA_DIR
+ * Content search uses an FTS5 index ranked with its bm25() function, so memories are not held in memory.
+ * The vector of each memory for semantic search is stored in the embedding column.
+ */
+class SqliteBackend extends MemoryBackend {
+    /**
+     * Create a new SQLite backend
+     * @param {Object} [options={}] - Backend options
+     * @param {string} [options.dataDir] - Directory holding memories.db
+     */
+    constructor(options = {}) {
+        super(options);
+        this.db = null;
+        this.dbFile = path.join(this.dataDir, 'memories.db');
+        this.jsonFile = path.join(this.dataDir, 'memories.json');
+    }
+
+    get name() {
+        return 'sqlite';
+    }
+
+    /**
+     * Open the database, create the schema and full-text index, and import an existing memories.json once
+     * @returns {Promise<void>}
+     */
+    async open() {
+        if (this.cipher.enabled) {
+            throw new Error('encryption_key is not supported by the sqlite backend; ' +
+                'use the json_file backend to encrypt memories at rest');
+        }
+        // Loaded lazily so the better-sqlite3 native module is only needed when this backend is selected
+        const Database = require('better-sqlite3');
+        this.db = new Database(this.dbFile);
+        this.db.pragma('journal_mode = WAL');
+        // In WAL mode NORMAL skips the fsync per commit and syncs at checkpoints instead
+        this.db.pragma(`synchronous = ${this.durability === 'sync' ? 'FULL' : 'NORMAL'}`);
+        this.db.pragma('foreign_keys = ON');
+        this.db.exec(SCHEMA);
+        this.addColumns();
+        this.createFtsIndex();
+
+        await this.importJsonMemories();
+        console.log(`Loaded ${this.count()} memories from ${this.dbFile}`);
+    }
+
+    get supportsUpdate() {
+        return true;
+    }
+
+    get supportsTrash() {
+        return true;
+    }
+
+    get supportsExpiry() {
+        return true;
+    }
+
+    get supportsRanking() {
+        return true;
+    }
+
+    get supportsNamespaces() {
+        return true;
+    }
+
+    /**
+     * Add columns missing from databases created by older versions, with their indexes
+     */
+    addColumns() {
+        const existing = this.db.prepare('PRAGMA table_info(memories)').all().map(column => column.name);
+        for (const column of ADDED_COLUMNS) {
+            if (!existing.includes(column.name)) {
+                this.db.exec(`ALTER TABLE memories ADD COLUMN ${column.definition}`);
+            }
+            if (column.index) {
+                this.db.exec(column.index);
+            }
+        }
+
+        // Fill in hashes for rows written before the content_hash column existed
+        const missing = this.db.prepare('SELECT id, content FROM memories WHERE content_hash IS NULL').all();
+        const setHash = this.db.prepare('UPDATE memories SET content_hash = ? WHERE id = ?');
+        this.db.transaction(() => missing.forEach(row => setHash.run(contentHash(row.content), row.id)))();
+
+        // Compute vectors for rows written before the embedding column existed, or all of them when the model changed
+        const model = this.db.prepare('SELECT value FROM meta WHERE key = ?').get('embedding_model');
+        const outdated = this.db.prepare(model && model.value === EMBEDDING_MODEL
+            ? 'SELECT id, content FROM memories WHERE embedding IS NULL'
+            : 'SELECT id, content FROM memories').all();
+        const setEmbedding = this.db.prepare('UPDATE memories SET embedding = ? WHERE id = ?');
+        this.db.transaction(() => {
+            outdated.forEach(row => setEmbedding.run(encodeVector(embed(row.content)), row.id));
+            this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run('embedding_model', EMBEDDING_MODEL);
+        })();
+        if (outdated.length > 0) {
+            console.log(`Computed vectors of ${outdated.length} memories`);
+        }
+    }
+
+    /**
+     * Create the full-text index, or rebuild it from all rows when it was made with another tokenizer
+     * Earlier versions used a trigram index, then indexed the content itself with the porter tokenizer,
+     * and some versions dropped it for an in-memory index
+     */
+    createFtsIndex() {
+        const tokenizer = this.db.prepare('SELECT value FROM meta WHERE key = ?').get('fts_tokenizer');
+        if (tokenizer && tokenizer.value === FTS_TOKENIZER) {
+            return;
+        }
+        const rows = this.db.prepare('SELECT id, content FROM memories').all();
+        const setTerms = this.db.prepare('UPDATE memories SET terms = ? WHERE id = ?');
+        this.db.transaction(() => {
+            this.db.exec(FTS_DROP_SCHEMA);
+            rows.forEach(row => setTerms.run(indexTerms(row.content), row.id));
+            this.db.exec(FTS_SCHEMA);
+            this.db.exec("INSERT INTO memories_fts(memories_fts) VALUES ('rebuild')");
+            this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run('fts_tokenizer', FTS_TOKENIZER);
+        })();
+    }
+
+    /**
+     * BM25 scores of the memories containing any word of a text, including memories in the trash
+     * FTS5's bm25() is lower for better matches, so scores are negated to be higher for better ones.
+     * @param {string} text - Search text
+     * @returns {Map<string, number>} Score by memory ID
+     */
+    ftsScores(text) {
+        const match = ftsQuery(text);
+        if (!match) {
+            return new Map();
+        }
+        const rows = this.db.prepare(`
+            SELECT m.id, -bm25(memories_fts) AS score FROM memories_fts JOIN memories m ON m.rowid = memories_fts.rowid
+            WHERE memories_fts MATCH ?
+        `).all(match);
+        return new Map(rows.map(row => [row.id, row.score]));
+    }
+
+    /**
+     * Import memories.json into the database the first time the backend opens
+     * The JSON file is left in place; the import is recorded in the meta table
+     * @returns {Promise<void>}
+     */
+    async importJsonMemories() {
+        if (this.db.prepare('SELECT value FROM meta WHERE key = ?').get('json_import')) {
+            return;
+        }
+
+        let memories = [];
+        try {
+            const document = parseStorage(this.cipher.decode(await fs.readFile(this.jsonFile, 'utf8')));
+            if (!document) {
+                throw new Error('file is damaged');
+            }
+            memories = upgradeStorage(document, this.jsonFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Cannot import ${this.jsonFile}: ${error.message}`);
+            }
+        }
+
+        const importAll = this.db.transaction((records) => {
+            for (const memory of records) {
+                this.insert(memory);
+            }
+            this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)')
+                .run('json_import', new Date().toISOString());
+        });
+        importAll(memories);
+
+        if (memories.length > 0) {
+            console.log(`Imported ${memories.length} memories from ${this.jsonFile}`);
+        }
+    }
+
+    /**
+     * Insert a memory row and its tag index entries
+     * @param {Object} memory - Memory in the wrapper format
+     */
+    insert(memory) {
+        this.db.prepare(`
+            INSERT INTO memories (id, content, metadata, tags, created_at, updated_at, legacy_id, deleted_at, content_hash, expires_at,
+                importance, pinned, namespace, embedding, terms)
+            VALUES (@id, @content, @metadata, @tags, @created_at, @updated_at, @legacy_id, @deleted_at, @content_hash, @expires_at,
+                @importance, @pinned, @namespace, @embedding, @terms)
+        `).run({
+            ...memory,
+            metadata: JSON.stringify(memory.metadata || {}),
+            tags: JSON.stringify(memory.tags || []),
+            legacy_id: memory.legacy_id || null,
+            deleted_at: memory.deleted_at || null,
+            content_hash: contentHash(memory.content),
+            expires_at: memory.expires_at || null,
+            importance: memory.importance ?? null,
+            pinned: memory.pinned ? 1 : 0,
+            namespace: memory.namespace || DEFAULT_NAMESPACE,
+            embedding: encodeVector(embed(memory.content)),
+            terms: indexTerms(memory.content)
+        });
+        this.writeTags(memory.id, memory.tags || []);
+    }
+
+    /**
+     * Replace the tag index entries of a memory
+     * @param {string} id - The memory ID
+     * @param {string[]} tags - Tags of the memory
+     */
+    writeTags(id, tags) {
+        this.db.prepare('DELETE FROM memory_tags WHERE memory_id = ?').run(id);
+        const insertTag = this.db.prepare('INSERT OR IGNORE INTO memory_tags (memory_id, tag) VALUES (?, ?)');
+        for (const tag of tags) {
+            insertTag.run(id, tag);
+        }
+    }
+
+    /**
+     * Convert a database row to the wrapper memory format
+     * @param {Object} row - Row from the memories table
+     * @returns {Object} Memory object
+     */
+    toMemory(row) {
+        const memory = {
+            id: row.id,
+            content: row.content,
+            metadata: JSON.parse(row.metadata),
+            tags: JSON.parse(row.tags),
+            namespace: row.namespace,
+            created_at: row.created_at,
+            updated_at: row.updated_at
+        };
+        if (row.legacy_id) {
+            memory.legacy_id = row.legacy_id;
+        }
+        if (row.deleted_at) {
+            memory.deleted_at = row.deleted_at;
+        }
+        if (row.expires_at) {
+            memory.expires_at = row.expires_at;
+        }
+        if (row.importance !== null) {
+            memory.importance = row.importance;
+        }
+        if (row.pinned) {
+            memory.pinned = true;
+        }
+        return memory;
+    }
+
+    /**
+     * Count stored memories
+     * @param {boolean} [trashed=false] - Count memories in the trash instead of active ones
+     * @param {string} [namespace] - Only count memories in this namespace
+     * @returns {number}
+     */
+    count(trashed = false, namespace = null) {
+        if (trashed) {
+            return this.db.prepare(`SELECT COUNT(*) AS total FROM memories WHERE deleted_at IS NOT NULL AND ${NAMESPACE_CONDITION}`)
+                .get({ namespace }).total;
+        }
+        return this.db.prepare(`SELECT COUNT(*) AS total FROM memories WHERE ${ACTIVE_CONDITION} AND ${NAMESPACE_CONDITION}`)
+            .get({ now: new Date().toISOString(), namespace }).total;
+    }
+
+    async store(input) {
+        const memory = this.newMemory(input);
+        this.db.transaction(() => this.insert(memory))();
+        return memory;
+    }
+
+    async storeMany(inputs) {
+        const memories = inputs.map(input => this.newMemory(input));
+        this.db.transaction(() => memories.forEach(memory => this.insert(memory)))();
+        return memories;
+    }
+
+    async get(id) {
+        const row = this.db.prepare('SELECT * FROM memories WHERE id = ? AND deleted_at IS NULL').get(id);
+        return row ? this.toMemory(row) : null;
+    }
+
+    async findDuplicate(content, namespace) {
+        const row = this.db.prepare(`
+            SELECT * FROM memories WHERE content_hash = @hash AND ${ACTIVE_CONDITION} AND ${NAMESPACE_CONDITION}
+            ORDER BY created_at LIMIT 1
+        `).get({ hash: contentHash(content), now: new Date().toISOString(), namespace: namespace || null });
+        return row ? this.toMemory(row) : null;
+    }
+
+    async getTrashed(id) {
+        const row = this.db.prepare('SELECT * FROM memories WHERE id = ? AND deleted_at IS NOT NULL').get(id);
+        return row ? this.toMemory(row) : null;
+    }
+
+    async trash(id) {
+        const deletedAt = new Date().toISOString();
+        const result = this.db.prepare('UPDATE memories SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL')
+            .run(deletedAt, id);
+        if (result.changes === 0) {
+            throw new MemoryServiceError('Memory not found', 404);
+        }
+        return this.getTrashed(id);
+    }
+
+    async restore(id) {
+        // A memory restored after it expired no longer expires, otherwise the next sweep would remove it again
+        const result = this.db.prepare(`
+            UPDATE memories SET deleted_at = NULL, expires_at = CASE WHEN expires_at <= ? THEN NULL ELSE expires_at END
+            WHERE id = ? AND deleted_at IS NOT NULL
+        `).run(new Date().toISOString(), id);
+        if (result.changes === 0) {
+            throw new MemoryServiceError('Memory not found in trash', 404);
+        }
+        return this.get(id);
+    }
+
+    async listTrash({ limit, offset, namespace = null }) {
+        const rows = this.db.prepare(`
+            SELECT * FROM memories WHERE deleted_at IS NOT NULL AND ${NAMESPACE_CONDITION}
+            ORDER BY deleted_at DESC LIMIT @limit OFFSET @offset
+        `).all({ namespace, limit, offset });
+        return {
+            memories: rows.map(row => this.toMemory(row)),
+            total: this.count(true, namespace),
+            offset,
+            limit
+        };
+    }
+
+    async purgeTrash(before) {
+        return this.db.transaction(() => {
+            const ids = this.db.prepare('SELECT id FROM memories WHERE deleted_at IS NOT NULL AND deleted_at < ?')
+                .all(before).map(row => row.id);
+            this.db.prepare('DELETE FROM memories WHERE deleted_at IS NOT NULL AND deleted_at < ?').run(before);
+            return ids;
+        })();
+    }
+
+    async update(id, changes) {
+        const memory = await this.get(id);
+        if (!memory) {
+            throw new MemoryServiceError('Memory not found', 404);
+        }
+        const updated = { ...memory, ...changes, updated_at: new Date().toISOString() };
+        this.db.transaction(() => {
+            this.db.prepare(`
+                UPDATE memories SET content = @content, metadata = @metadata, tags = @tags, updated_at = @updated_at,
+                    content_hash = @content_hash, importance = @importance, pinned = @pinned, embedding = @embedding,
+                    terms = @terms
+                WHERE id = @id
+            `).run({
+                ...updated,
+                content_hash: contentHash(updated.content),
+                embedding: encodeVector(embed(updated.content)),
+                terms: indexTerms(updated.content),
+                importance: updated.importance ?? null,
+                pinned: updated.pinned ? 1 : 0,
+                metadata: JSON.stringify(updated.metadata),
+                tags: JSON.stringify(updated.tags)
+            });
+            this.writeTags(id, updated.tags);
+        })();
+        return this.get(id);
+    }
+
+    async delete(id) {
+        const result = this.db.prepare('DELETE FROM memories WHERE id = ?').run(id);
+        if (result.changes === 0) {
+            throw new MemoryServiceError('Memory not found', 404);
+        }
+        return true;
+    }
+
+    async listExpired(now) {
+        return this.db.prepare('SELECT * FROM memories WHERE deleted_at IS NULL AND expires_at <= ?')
+            .all(now).map(row => this.toMemory(row));
+    }
+
+    async search({ query, filter, tags, limit, namespace, mode = 'keyword' }) {
+        const conditions = ['m.deleted_at IS NULL', '(m.expires_at IS NULL OR m.expires_at > ?)'];
+        const params = [new Date().toISOString()];
+
+        if (namespace) {
+            conditions.push('m.namespace = ?');
+            params.push(namespace);
+        }
+
+        if (tags.length > 0) {
+            conditions.push(`EXISTS (SELECT 1 FROM memory_tags t WHERE t.memory_id = m.id AND t.tag IN (${tags.map(() => '?').join(', ')}))`);
+            params.push(...tags);
+        }
+
+        const narrowed = filter && filterCondition(filter);
+        if (narrowed) {
+            conditions.push(narrowed.sql);
+            params.push(...narrowed.params);
+        }
+
+        if (!query && !filter) {
+            const rows = this.db.prepare(`SELECT m.* FROM memories m WHERE ${conditions.join(' AND ')} ORDER BY m.created_at DESC LIMIT ?`)
+                .all(...params, limit);
+            return rows.map(row => this.toMemory(row));
+        }
+        if (!filter && mode === 'keyword') {
+            const match = ftsQuery(query);
+            if (!match) {
+                return [];
+            }
+            const rows = this.db.prepare(`
+                SELECT m.*, -bm25(memories_fts) AS score FROM memories_fts JOIN memories m ON m.rowid = memories_fts.rowid
+                WHERE memories_fts MATCH ? AND ${conditions.join(' AND ')}
+                ORDER BY score DESC, m.created_at DESC LIMIT ?
+            `).all(match, ...params, limit);
+            return rows.map(row => ({ ...this.toMemory(row), score: row.score }));
+        }
+        const scores = query && mode !== 'semantic' ? this.ftsScores(query) : new Map();
+        let rows;
+        if (filter) {
+            rows = this.db.prepare(`SELECT m.* FROM memories m WHERE ${conditions.join(' AND ')}`).all(...params);
+        } else {
+            // Only vectors are read to find similar memories; full rows are read for the matches alone
+            const queryVector = embed(query);
+            const ids = [];
+            for (const row of this.db.prepare(`SELECT m.id, m.embedding FROM memories m WHERE ${conditions.join(' AND ')}`).iterate(...params)) {
+                const vector = decodeVector(row.embedding);
+                if (scores.has(row.id) || (vector && cosineSimilarity(queryVector, vector) >= SEMANTIC_MIN_SIMILARITY)) {
+                    ids.push(row.id);
+                }
+            }
+            rows = this.db.prepare('SELECT * FROM memories WHERE id IN (SELECT value FROM json_each(?))').all(JSON.stringify(ids));
+        }
+        // Matches are scored, checked against the filter and ordered here
+        const vectors = new Map(rows.map(row => [row.id, decodeVector(row.embedding)]));
+        return matchMemories(rows.map(row => this.toMemory(row)), {
+            query,
+            filter,
+            mode,
+            index: { score: () => scores },
+            vectorOf: memory => vectors.get(memory.id) || embed(memory.content)
+        }).slice(0, limit);
+    }
+
+    async list({ limit, offset, namespace = null }) {
+        const rows = this.db.prepare(`
+            SELECT * FROM memories WHERE ${ACTIVE_CONDITION} AND ${NAMESPACE_CONDITION}
+            ORDER BY created_at DESC LIMIT @limit OFFSET @offset
+        `).all({ now: new Date().toISOString(), namespace, limit, offset });
+        return {
+            memories: rows.map(row => this.toMemory(row)),
+            total: this.count(false, namespace),
+            offset,
+            limit
+        };
+    }
+
+    async exportAll() {
+        return this.db.prepare('SELECT * FROM memories ORDER BY created_at').all().map(row => this.toMemory(row));
+    }
+
+    async replaceAll(memories) {
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM memories').run();
+            for (const memory of memories) {
+                this.insert(memory);
+            }
+        })();
+    }
+
+    async stats({ namespace = null } = {}) {
+        const params = { now: new Date().toISOString(), namespace };
+        return {
+            backend: this.name,
+            total_memories: this.count(false, namespace),
+            trashed_memories: this.count(true, namespace),
+            expiring_memories: this.db.prepare(`
+                SELECT COUNT(*) AS total FROM memories WHERE ${ACTIVE_CONDITION} AND ${NAMESPACE_CONDITION} AND expires_at IS NOT NULL
+            `).get(params).total,
+            expired_memories: this.db.prepare(`
+                SELECT COUNT(*) AS total FROM memories WHERE deleted_at IS NULL AND expires_at <= @now AND ${NAMESPACE_CONDITION}
+            `).get(params).total
+        };
+    }
+
+    /**
+     * Close the database
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteBackend;
@@ -0,0 +1,198 @@
+// Words shorter or longer than these are not stemmed
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 64;
+
+/**
+ * Check whether a character is a vowel
+ * @param {string} char - Character
+ * @param {boolean} yIsVowel - Whether "y" counts as a vowel, which it does after a consonant
+ * @returns {boolean}
+ */
+function isVowel(char, yIsVowel) {
+    return 'aeiou'.includes(char) || (yIsVowel && char === 'y');
+}
+
+/**
+ * Skip one vowel-consonant sequence at the start of a stem
+ * @param {string} stem - Stem
+ * @param {boolean} prevConsonant - Whether the character before the stem is a consonant
+ * @returns {number} Length of the stem up to the end of the sequence, or 0 if it has none
+ */
+function gobbleVowelConsonant(stem, prevConsonant) {
+    let consonant = prevConsonant;
+    let i = 0;
+    for (; i < stem.length; i++) {
+        consonant = !isVowel(stem[i], consonant);
+        if (!consonant) {
+            break;
+        }
+    }
+    for (i++; i < stem.length; i++) {
+        consonant = !isVowel(stem[i], consonant);
+        if (consonant) {
+            return i + 1;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Check whether a stem has at least one vowel-consonant sequence (m > 0)
+ * @param {string} stem - Stem
+ * @returns {boolean}
+ */
+function mGt0(stem) {
+    return gobbleVowelConsonant(stem, false) > 0;
+}
+
+/**
+ * Check whether a stem has at least two vowel-consonant sequences (m > 1)
+ * @param {string} stem - Stem
+ * @returns {boolean}
+ */
+function mGt1(stem) {
+    const n = gobbleVowelConsonant(stem, false);
+    return n > 0 && gobbleVowelConsonant(stem.slice(n), true) > 0;
+}
+
+/**
+ * Check whether a stem has exactly one vowel-consonant sequence (m = 1)
+ * @param {string} stem - Stem
+ * @returns {boolean}
+ */
+function mEq1(stem) {
+    const n = gobbleVowelConsonant(stem, false);
+    return n > 0 && gobbleVowelConsonant(stem.slice(n), true) === 0;
+}
+
+/**
+ * Check whether a stem contains a vowel; "y" counts as one anywhere but at the start (*v*)
+ * @param {string} stem - Stem
+ * @returns {boolean}
+ */
+function hasVowel(stem) {
+    return [...stem].some((char, i) => isVowel(char, i > 0));
+}
+
+/**
+ * Check whether a stem ends consonant-vowel-consonant, the last consonant not being w, x or y (*o)
+ * @param {string} stem - Stem
+ * @returns {boolean}
+ */
+function endsCvc(stem) {
+    if (/[wxy]$/.test(stem)) {
+        return false;
+    }
+    let consonant = false;
+    let mask = 0;
+    for (const char of stem) {
+        consonant = !isVowel(char, consonant);
+        mask = ((mask << 1) | Number(consonant)) & 0x7;
+    }
+    return mask === 0x5;
+}
+
+// Suffix rules of steps 2 to 4, tried in order; only the first suffix the word ends with is considered
+const STEP2_RULES = [
+    ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'], ['logi', 'log'],
+    ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'], ['ization', 'ize'],
+    ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'],
+    ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble']
+].map(([suffix, replacement]) => [suffix, replacement, mGt0]);
+const STEP3_RULES = [
+    ['ical', 'ic'], ['ness', ''], ['icate', 'ic'], ['iciti', 'ic'], ['ful', ''], ['ative', ''], ['alize', 'al']
+].map(([suffix, replacement]) => [suffix, replacement, mGt0]);
+const STEP4_RULES = [
+    'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ion', 'ou', 'ism', 'ate', 'iti',
+    'ous', 'ive', 'ize'
+].map(suffix => [suffix, '', suffix === 'ion' ? stem => mGt1(stem) && /[st]$/.test(stem) : mGt1]);
+
+/**
+ * Apply the first rule whose suffix the word ends with, when the rest of the word meets its condition
+ * Rules are matched on the second to last letter first, as the suffixes of each step are grouped by it.
+ * @param {string} word - Word
+ * @param {Array} rules - [suffix, replacement, condition] triples
+ * @returns {string} The word with the suffix replaced, or unchanged
+ */
+function applyRules(word, rules) {
+    const rule = rules.find(([suffix]) => suffix[suffix.length - 2] === word[word.length - 2] &&
+        word.length > suffix.length && word.endsWith(suffix));
+    if (!rule) {
+        return word;
+    }
+    const [suffix, replacement, condition] = rule;
+    const stem = word.slice(0, -suffix.length);
+    return condition(stem) ? stem + replacement : word;
+}
+
+/**
+ * Reduce an English word to its stem with the Porter algorithm, so "meetings" and "meeting" match
+ * The steps follow the porter tokenizer of SQLite's FTS5, with the same suffix rules and conditions;
+ * letters outside ASCII count as consonants.
+ * @param {string} token - Lowercase word
+ * @returns {string} The stem
+ */
+function stem(token) {
+    let word = token;
+    if (word.length < MIN_LENGTH || word.length > MAX_LENGTH) {
+        return word;
+    }
+
+    // Step 1a: plurals
+    if (word.endsWith('s')) {
+        if (word.endsWith('es')) {
+            word = (word.length > 4 && word.endsWith('sses')) || (word.length > 3 && word.endsWith('ies'))
+                ? word.slice(0, -2)
+                : word.slice(0, -1);
+        } else if (!word.endsWith('ss')) {
+            word = word.slice(0, -1);
+        }
+    }
+
+    // Step 1b: -eed, -ed and -ing
+    let trimmed = false;
+    if (word.length > 3 && word.endsWith('eed')) {
+        if (mGt0(word.slice(0, -3))) {
+            word = word.slice(0, -1);
+        }
+    } else if (word.length > 2 && word.endsWith('ed') && hasVowel(word.slice(0, -2))) {
+        word = word.slice(0, -2);
+        trimmed = true;
+    } else if (word.length > 3 && word.endsWith('ing') && hasVowel(word.slice(0, -3))) {
+        word = word.slice(0, -3);
+        trimmed = true;
+    }
+    if (trimmed) {
+        const last = word[word.length - 1];
+        if (word.length > 2 && /(at|bl|iz)$/.test(word)) {
+            word += 'e';
+        } else if (!isVowel(last, false) && !'lsz'.includes(last) && last === word[word.length - 2]) {
+            word = word.slice(0, -1);
+        } else if (mEq1(word) && endsCvc(word)) {
+            word += 'e';
+        }
+    }
+
+    // Step 1c: a final y becomes i when the rest of the word has a vowel
+    if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+        word = `${word.slice(0, -1)}i`;
+    }
+
+    // Steps 2 to 4: derivational suffixes
+    word = applyRules(applyRules(applyRules(word, STEP2_RULES), STEP3_RULES), STEP4_RULES);
+
+    // Step 5: a final e, and a double l
+    if (word.endsWith('e')) {
+        const rest = word.slice(0, -1);
+        if (mGt1(rest) || (mEq1(rest) && !endsCvc(rest))) {
+            word = rest;
+        }
+    }
+    if (word.endsWith('ll') && mGt1(word.slice(0, -1))) {
+        word = word.slice(0, -1);
+    }
+
+    return word;
+}
+
+module.exports = { stem };
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+// Keys are derived from the configured passphrase; the salt only separates them from other uses of the passphrase
+const KEY_SALT = 'mcp-memory-service/storage-key/v1';
+
+/**
+ * Error raised when stored data cannot be decrypted with the configured keys
+ */
+class EncryptionKeyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EncryptionKeyError';
+    }
+}
+
+/**
+ * A single AES-256-GCM key derived from a passphrase
+ */
+class StorageKey {
+    /**
+     * Derive a storage key
+     * @param {string} passphrase - Configured encryption key
+     */
+    constructor(passphrase) {
+        this.key = crypto.scryptSync(passphrase, KEY_SALT, 32);
+        // Identifies the key in encrypted payloads without revealing it
+        this.id = crypto.createHmac('sha256', this.key).update('key-id').digest('hex').slice(0, 16);
+    }
+
+    /**
+     * Encrypt a string
+     * @param {string} plaintext - Data to encrypt
+     * @returns {Object} Encrypted payload {cipher, key_id, iv, tag, data}
+     */
+    encrypt(plaintext) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+        const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+        return {
+            cipher: ALGORITHM,
+            key_id: this.id,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    /**
+     * Decrypt a payload produced by encrypt()
+     * @param {Object} payload - Encrypted payload
+     * @returns {string|null} The plaintext, or null if the payload fails authentication
+     */
+    decrypt(payload) {
+        try {
+            const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(payload.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+            return Buffer.concat([
+                decipher.update(Buffer.from(payload.data, 'base64')),
+                decipher.final()
+            ]).toString('utf8');
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Encrypts storage files and journal lines with the configured key
+ *
+ * Without a key, data passes through unchanged. Data encrypted with the
+ * previous key (or stored in plain text while a key is configured) is still
+ * readable and marks the cipher as stale so the backend can rewrite it.
+ */
+class StorageCipher {
+    /**
+     * Create a storage cipher
+     * @param {string} [key] - Current encryption key; empty to store plain text
+     * @param {string} [previousKey] - Key the data may still be encrypted with, for rotation
+     */
+    constructor(key, previousKey) {
+        this.current = key ? new StorageKey(key) : null;
+        this.previous = previousKey ? new StorageKey(previousKey) : null;
+        this.stale = false;
+    }
+
+    /**
+     * Create a cipher from MCP_ENCRYPTION_KEY and MCP_ENCRYPTION_PREVIOUS_KEY
+     * @returns {StorageCipher}
+     */
+    static fromEnv() {
+        return new StorageCipher(process.env.MCP_ENCRYPTION_KEY, process.env.MCP_ENCRYPTION_PREVIOUS_KEY);
+    }
+
+    /**
+     * Whether new data is written encrypted
+     * @returns {boolean}
+     */
+    get enabled() {
+        return this.current !== null;
+    }
+
+    /**
+     * Encode data for storage
+     * @param {string} plaintext - Data to store
+     * @returns {string} Encrypted payload as single-line JSON, or the plaintext without a key
+     */
+    encode(plaintext) {
+        return this.current ? JSON.stringify(this.current.encrypt(plaintext)) : plaintext;
+    }
+
+    /**
+     * Decode stored data
+     * @param {string} data - Stored data
+     * @returns {string|null} The plaintext, or null if an encrypted payload is damaged
+     * @throws {EncryptionKeyError} If the data was encrypted with a key that is not configured
+     */
+    decode(data) {
+        let payload = null;
+        try {
+            payload = JSON.parse(data);
+        } catch (error) {
+            // Not JSON at all; let the caller treat it as damaged plain text
+        }
+
+        if (!payload || payload.cipher !== ALGORITHM) {
+            if (this.current) {
+                this.stale = true;
+            }
+            return data;
+        }
+
+        const key = [this.current, this.previous].find(candidate => candidate && candidate.id === payload.key_id);
+        if (!key) {
+            throw new EncryptionKeyError(this.current
+                ? 'Stored memories are encrypted with a different key; check encryption_key, or set ' +
+                  'encryption_previous_key to the old key to re-encrypt them'
+                : 'Stored memories are encrypted but no encryption_key is configured');
+        }
+        if (key !== this.current) {
+            this.stale = true;
+        }
+        return key.decrypt(payload);
+    }
+}
+
+module.exports = { StorageCipher, EncryptionKeyError };
@@ -0,0 +1,155 @@
+const fs = require('fs').promises;
+const { writeFileAtomic } = require('./atomic-file');
+const { migrateDuplicateIds } = require('./ids');
+const { StorageCipher } = require('./storage-cipher');
+const { assignDefaultNamespace } = require('./namespace-store');
+
+/**
+ * Ordered migrations of the memories.json format
+ * Version 0 is the original bare array of memories without an envelope.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Wrap memories in a versioned envelope',
+        up: (memories) => memories
+    },
+    {
+        version: 2,
+        description: 'Give memories sharing a legacy Date.now() ID unique IDs',
+        up: (memories) => {
+            migrateDuplicateIds(memories).forEach(({ from, to }) =>
+                console.warn(`Duplicate memory ID ${from} rewritten to ${to}`));
+            return memories;
+        }
+    },
+    {
+        version: 3,
+        description: 'Place memories in the default namespace',
+        up: (memories) => assignDefaultNamespace(memories)
+    }
+];
+
+const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Error raised when a storage file was written by a newer add-on version
+ */
+class StorageVersionError extends Error {
+    /**
+     * Create a new storage version error
+     * @param {string} file - The storage file
+     * @param {number} version - Version found in the file
+     */
+    constructor(file, version) {
+        super(`${file} uses storage schema version ${version}, but this add-on only supports up to version ` +
+            `${CURRENT_VERSION}; update the add-on or restore an older backup`);
+        this.name = 'StorageVersionError';
+        this.version = version;
+    }
+}
+
+/**
+ * Parse the content of a storage file
+ * @param {string} data - File content
+ * @returns {{version: number, memories: Array}|null} The parsed document, or null if it is not a storage file
+ */
+function parseStorage(data) {
+    let document;
+    try {
+        document = JSON.parse(data);
+    } catch (error) {
+        return null;
+    }
+
+    if (Array.isArray(document)) {
+        return { version: 0, memories: document };
+    }
+    if (document && Number.isInteger(document.version) && Array.isArray(document.memories)) {
+        return { version: document.version, memories: document.memories };
+    }
+    return null;
+}
+
+/**
+ * Serialize memories in the current storage envelope
+ * @param {Array} memories - Memories to store
+ * @param {number} [version=CURRENT_VERSION] - Schema version to record
+ * @returns {string} File content
+ */
+function serializeStorage(memories, version = CURRENT_VERSION) {
+    return JSON.stringify({ version, memories }, null, 2);
+}
+
+/**
+ * Bring a parsed storage document up to the current version in memory
+ * @param {{version: number, memories: Array}} document - Parsed document
+ * @param {string} file - File the document was read from, for error messages
+ * @returns {Array} Memories in the current format
+ * @throws {StorageVersionError} If the document is newer than this add-on supports
+ */
+function upgradeStorage(document, file) {
+    if (document.version > CURRENT_VERSION) {
+        throw new StorageVersionError(file, document.version);
+    }
+    return MIGRATIONS
+        .filter(migration => migration.version > document.version)
+        .reduce((memories, migration) => migration.up(memories), document.memories);
+}
+
+/**
+ * Migrate a storage file to the current version, one step at a time
+ * The file is copied to `<file>.v<version>.bak` before each step, encrypted with the
+ * current key when one is configured.
+ * Missing or unreadable files are left for the backend to handle.
+ * @param {string} file - Path of memories.json
+ * @param {Object} [options={}] - Migration options
+ * @param {StorageCipher} [options.cipher] - Cipher the file is encrypted with
+ * @returns {Promise<number>} Number of migration steps applied
+ * @throws {StorageVersionError} If the file is newer than this add-on supports
+ * @throws {EncryptionKeyError} If the file is encrypted with a key that is not configured
+ */
+async function migrateStorageFile(file, options = {}) {
+    const cipher = options.cipher || new StorageCipher();
+    let data;
+    try {
+        data = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return 0;
+        }
+        throw error;
+    }
+
+    let plaintext = cipher.decode(data);
+    const document = parseStorage(plaintext);
+    if (!document) {
+        return 0;
+    }
+    if (document.version > CURRENT_VERSION) {
+        throw new StorageVersionError(file, document.version);
+    }
+
+    const pending = MIGRATIONS.filter(migration => migration.version > document.version);
+    let { version, memories } = document;
+    for (const migration of pending) {
+        const backupFile = `${file}.v${version}.bak`;
+        await writeFileAtomic(backupFile, cipher.encode(plaintext));
+        memories = migration.up(memories);
+        plaintext = serializeStorage(memories, migration.version);
+        await writeFileAtomic(file, cipher.encode(plaintext));
+        console.log(`Migrated ${file} from schema v${version} to v${migration.version}: ` +
+            `${migration.description} (backup: ${backupFile})`);
+        version = migration.version;
+    }
+    return pending.length;
+}
+
+module.exports = {
+    CURRENT_VERSION,
+    StorageVersionError,
+    parseStorage,
+    serializeStorage,
+    upgradeStorage,
+    migrateStorageFile
+};
@@ -1,23 +1,25 @@
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
-const fs = require('fs').promises;
-const { spawn } = require('child_process');
+const { MCPMemoryService } = require('./memory-service');
+const { selectNamespace, createMemoryRouter } = require('./memory-routes');
 
 const app = express();
 
 // Middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/merge-patch+json'] }));
 
 // CORS configuration
 if (process.env.CORS_ENABLED === 'true') {
     app.use(cors({
         origin: '*',
-        methods: ['GET', 'POST', 'PUT', 'DELETE'],
-        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Memory-Namespace']
     }));
 }
 
+// Namespace selection: /ns/<namespace>/ path prefix, or the X-Memory-Namespace header
+app.use(selectNamespace);
+
 /**
  * Simple API key authentication middleware
  * @param {Object} req - Express request object
@@ -30,212 +32,41 @@ const authenticate = (req, res, next) => {
         if (!apiKey || apiKey !== process.env.API_KEY) {
             return res.status(401).json({ error: 'Unauthorized' });
         }
+        req.authMethod = 'api_key';
     }
     next();
 };
 
 /**
- * MCP Memory Service integration class
- * Handles both the actual MCP Memory Service and fallback JSON storage
+ * Admin authorization middleware, used after authenticate
+ * This wrapper only knows the API key, which is an admin, as is every caller when authentication is off.
+ * Namespace limits still apply to admins.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
  */
-class MCPMemoryService {
-    /**
-     * Initialize the MCP Memory Service
-     */
-    constructor() {
-        this.process = null;
-        this.isReady = false;
-        this.memories = [];
-        this.memoryFile = path.join(process.env.DATA_DIR || '/data', 'memories.json');
-        this.fallbackMode = false;
-    }
-
-    /**
-     * Start the MCP Memory Service or fallback to JSON storage
-     * @returns {Promise<void>}
-     */
-    async start() {
-        try {
-            // Try to start the actual MCP Memory Service
-            await this.startMCPService();
-        } catch (error) {
-            console.warn('MCP Memory Service not available, using fallback mode:', error.message);
-            this.fallbackMode = true;
-            await this.loadFallbackMemories();
-        }
-    }
-
-    /**
-     * Start the actual MCP Memory Service Python process
-     * @returns {Promise<void>} Resolves when service is ready
-     * @throws {Error} If service fails to start or times out
-     */
-    async startMCPService() {
-        return new Promise((resolve, reject) => {
-            // Start the MCP Memory Service Python process
-            this.process = spawn('python3', ['-m', 'mcp_memory_service'], {
-                cwd: '/app',
-                env: {
-                    ...process.env,
-                    MCP_MEMORY_STORAGE_BACKEND: process.env.MCP_MEMORY_STORAGE_BACKEND || 'sqlite_vec',
-                    MCP_BATCH_SIZE: process.env.MCP_BATCH_SIZE || '16',
-                    MCP_MAX_CONTEXT_LENGTH: process.env.MCP_MAX_CONTEXT_LENGTH || '512',
-                    MCP_EMBEDDING_MODEL: process.env.MCP_EMBEDDING_MODEL || 'all-MiniLM-L6-v2',
-                    MCP_HTTP_ENABLED: 'true',
-                    MCP_HTTP_PORT: '8081',
-                    // CPU-only optimization flags
-                    OMP_NUM_THREADS: '2',
-                    MKL_NUM_THREADS: '2',
-                    CUDA_VISIBLE_DEVICES: '',
-                    PYTORCH_CUDA_ALLOC_CONF: ''
-                }
-            });
-
-            this.process.stdout.on('data', (data) => {
-                const output = data.toString();
-                console.log('MCP Service:', output);
-                if (output.includes('Server started')) {
-                    this.isReady = true;
-                    resolve();
-                }
-            });
-
-            this.process.stderr.on('data', (data) => {
-                console.error('MCP Service Error:', data.toString());
-            });
-
-            this.process.on('close', (code) => {
-                console.log(`MCP Memory Service process exited with code ${code}`);
-                this.isReady = false;
-            });
-
-            // Timeout after 30 seconds
-            setTimeout(() => {
-                if (!this.isReady) {
-                    reject(new Error('MCP Memory Service startup timeout'));
-                }
-            }, 30000);
-        });
-    }
-
-    async loadFallbackMemories() {
-        try {
-            const data = await fs.readFile(this.memoryFile, 'utf8');
-            this.memories = JSON.parse(data);
-            console.log(`Loaded ${this.memories.length} memories in fallback mode`);
-        } catch (error) {
-            console.log('No existing memories found, starting fresh');
-            this.memories = [];
-        }
-    }
-
-    async saveFallbackMemories() {
-        try {
-            await fs.writeFile(this.memoryFile, JSON.stringify(this.memories, null, 2));
-        } catch (error) {
-            console.error('Error saving memories:', error);
-        }
-    }
-
-    async storeMemory(content, metadata = {}, tags = []) {
-        if (!content) {
-            throw new Error('Content is required');
-        }
-
-        if (this.fallbackMode) {
-            const memory = {
-                id: Date.now().toString(),
-                content,
-                metadata,
-                tags,
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            };
-            this.memories.push(memory);
-            await this.saveFallbackMemories();
-            return memory;
-        } else {
-            // Use actual MCP Memory Service
-            return this.callMCPService('store', { content, metadata, tags });
-        }
-    }
-
-    async searchMemories(query, tags = [], limit = 10) {
-        if (this.fallbackMode) {
-            let results = [...this.memories];
-
-            if (query) {
-                const searchTerm = query.toLowerCase();
-                results = results.filter(memory => 
-                    memory.content.toLowerCase().includes(searchTerm)
-                );
-            }
-
-            if (tags.length > 0) {
-                results = results.filter(memory =>
-                    tags.some(tag => memory.tags.includes(tag))
-                );
-            }
-
-            results.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-            return results.slice(0, limit);
-        } else {
-            return this.callMCPService('search', { query, tags, limit });
-        }
-    }
-
-    async listMemories(limit = 50, offset = 0) {
-        if (this.fallbackMode) {
-            const sortedMemories = [...this.memories].sort((a, b) => 
-                new Date(b.created_at) - new Date(a.created_at)
-            );
-            const paginatedMemories = sortedMemories.slice(offset, offset + limit);
-            return {
-                memories: paginatedMemories,
-                total: this.memories.length,
-                offset,
-                limit
-            };
-        } else {
-            return this.callMCPService('list', { limit, offset });
-        }
-    }
-
-    async deleteMemory(id) {
-        if (this.fallbackMode) {
-            const index = this.memories.findIndex(memory => memory.id === id);
-            if (index === -1) {
-                throw new Error('Memory not found');
-            }
-            this.memories.splice(index, 1);
-            await this.saveFallbackMemories();
-            return true;
-        } else {
-            return this.callMCPService('delete', { id });
-        }
+const requireAdmin = (req, res, next) => {
+    if (req.authMethod !== 'api_key' && process.env.AUTH_ENABLED === 'true') {
+        return res.status(403).json({ error: 'Admin access required' });
     }
+    next();
+};
 
-    async callMCPService(method, params) {
-        // This would make HTTP calls to the actual MCP Memory Service
-        // For now, we'll use the fallback implementation
-        throw new Error('MCP Service integration not yet implemented');
-    }
+// Namespaces the API key is limited to; all namespaces if unset
+const API_KEY_NAMESPACES = process.env.MCP_API_KEY_NAMESPACES
+    ? process.env.MCP_API_KEY_NAMESPACES.split(',').map(name => name.trim()).filter(Boolean)
+    : undefined;
 
-    async getStats() {
-        if (this.fallbackMode) {
-            return {
-                mode: 'fallback',
-                total_memories: this.memories.length,
-                backend: 'json_file'
-            };
-        } else {
-            return {
-                mode: 'mcp_service',
-                backend: process.env.MCP_MEMORY_STORAGE_BACKEND || 'sqlite_vec'
-            };
-        }
-    }
-}
+/**
+ * Caller information passed to the memory service for revision history and namespace access
+ * @param {Object} req - Express request object
+ * @returns {Object} {authMethod, namespace, allowedNamespaces}
+ */
+const requestContext = (req) => ({
+    authMethod: req.authMethod,
+    namespace: req.namespace,
+    allowedNamespaces: req.authMethod === 'api_key' ? API_KEY_NAMESPACES : undefined
+});
 
 // Initialize MCP Memory Service
 const mcpService = new MCPMemoryService();
@@ -260,6 +91,7 @@ app.get('/info', authenticate, async (req, res) => {
             mode: stats.mode,
             backend: stats.backend,
             total_memories: stats.total_memories || 0,
+            capabilities: mcpService.capabilities,
             data_dir: process.env.DATA_DIR,
             environment: {
                 cors_enabled: process.env.CORS_ENABLED === 'true',
@@ -270,74 +102,18 @@ app.get('/info', authenticate, async (req, res) => {
         });
     } catch (error) {
         console.error('Error getting service info:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
-// Store a memory
-app.post('/memory/store', authenticate, async (req, res) => {
-    try {
-        const { content, metadata = {}, tags = [] } = req.body;
-        const memory = await mcpService.storeMemory(content, metadata, tags);
-        console.log(`Stored memory: ${memory.id}`);
-        res.json({ success: true, memory_id: memory.id, memory });
-    } catch (error) {
-        console.error('Error storing memory:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Search memories
-app.get('/memory/search', authenticate, async (req, res) => {
-    try {
-        const { query, tags, limit = 10 } = req.query;
-        const searchTags = tags ? (Array.isArray(tags) ? tags : [tags]) : [];
-        const results = await mcpService.searchMemories(query, searchTags, parseInt(limit));
-        res.json({ memories: results, total: results.length });
-    } catch (error) {
-        console.error('Error searching memories:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// List all memories
-app.get('/memory/list', authenticate, async (req, res) => {
-    try {
-        const { limit = 50, offset = 0 } = req.query;
-        const result = await mcpService.listMemories(parseInt(limit), parseInt(offset));
-        res.json(result);
-    } catch (error) {
-        console.error('Error listing memories:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Delete a memory
-app.delete('/memory/:id', authenticate, async (req, res) => {
-    try {
-        const { id } = req.params;
-        await mcpService.deleteMemory(id);
-        console.log(`Deleted memory: ${id}`);
-        res.json({ success: true });
-    } catch (error) {
-        console.error('Error deleting memory:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Get service statistics
-app.get('/memory/stats', authenticate, async (req, res) => {
-    try {
-        const stats = await mcpService.getStats();
-        res.json(stats);
-    } catch (error) {
-        console.error('Error getting stats:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
+// Memory, admin and namespace endpoints, shared with http-wrapper-oauth.js
+app.use(createMemoryRouter({ mcpService, authenticate, requireAdmin, requestContext }));
 
 // Start server
 const PORT = process.env.PORT || 8080;
+// How long shutdown waits for requests in flight before closing their connections
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.MCP_SHUTDOWN_TIMEOUT_MS || '5000');
+let server = null;
 
 async function startServer() {
     console.log('Starting MCP Memory Service HTTP Wrapper...');
@@ -345,7 +121,7 @@ async function startServer() {
     // Start the MCP Memory Service
     await mcpService.start();
     
-    app.listen(PORT, () => {
+    server = app.listen(PORT, () => {
         console.log(`MCP Memory Service HTTP API running on port ${PORT}`);
         console.log(`Data directory: ${process.env.DATA_DIR}`);
         console.log(`CORS enabled: ${process.env.CORS_ENABLED}`);
@@ -356,21 +132,43 @@ async function startServer() {
     });
 }
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('Received SIGTERM, shutting down gracefully...');
-    if (mcpService.process) {
-        mcpService.process.kill();
+/**
+ * Stop accepting requests, wait up to SHUTDOWN_TIMEOUT_MS for those in flight, then flush pending writes,
+ * stop the MCP Memory Service and exit
+ * @param {string} signal - The received signal
+ * @returns {Promise<void>}
+ */
+async function shutdown(signal) {
+    console.log(`Received ${signal}, shutting down gracefully...`);
+    if (server) {
+        const closed = new Promise(resolve => server.close(resolve));
+        // Idle keep-alive connections would otherwise hold the server open
+        server.closeIdleConnections();
+        let timer;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(() => resolve(true), SHUTDOWN_TIMEOUT_MS);
+        });
+        // Slow or stuck requests must not keep pending writes from being flushed before the process is killed
+        if (await Promise.race([closed.then(() => false), timedOut])) {
+            console.warn(`Requests still in flight after ${SHUTDOWN_TIMEOUT_MS} ms, closing their connections`);
+            server.closeAllConnections();
+            await closed;
+        }
+        clearTimeout(timer);
     }
-    process.exit(0);
-});
-
-process.on('SIGINT', () => {
-    console.log('Received SIGINT, shutting down gracefully...');
-    if (mcpService.process) {
-        mcpService.process.kill();
+    try {
+        await mcpService.stop();
+    } catch (error) {
+        console.error('Error flushing memories during shutdown:', error);
     }
     process.exit(0);
-});
+}
 
-startServer().catch(console.error);
+// Graceful shutdown
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+startServer().catch((error) => {
+    console.error('Failed to start MCP Memory Service HTTP Wrapper:', error.message);
+    process.exit(1);
+});
@@ -1,31 +1,43 @@
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
-const fs = require('fs').promises;
 const crypto = require('crypto');
-const { spawn } = require('child_process');
+const { MCPMemoryService } = require('./memory-service');
+const { DEFAULT_NAMESPACE, NAMESPACE_PATTERN } = require('./backends/namespace-store');
+const { selectNamespace, createMemoryRouter } = require('./memory-routes');
 
 const app = express();
 
 // Middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/merge-patch+json'] }));
 app.use(express.urlencoded({ extended: true }));
 
 // CORS configuration
 if (process.env.CORS_ENABLED === 'true') {
     app.use(cors({
         origin: '*',
-        methods: ['GET', 'POST', 'PUT', 'DELETE'],
-        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Memory-Namespace']
     }));
 }
 
+// Namespace selection: /ns/<namespace>/ path prefix, or the X-Memory-Namespace header
+app.use(selectNamespace);
+
 // OAuth 2.1 Configuration
 const OAUTH_ENABLED = process.env.OAUTH_ENABLED === 'true' || process.env.MCP_OAUTH_ENABLED === 'true';
 const OAUTH_SECRET_KEY = process.env.OAUTH_SECRET_KEY || process.env.MCP_OAUTH_SECRET_KEY || crypto.randomBytes(32).toString('hex');
 const OAUTH_ACCESS_TOKEN_EXPIRE_MINUTES = parseInt(process.env.OAUTH_ACCESS_TOKEN_EXPIRE_MINUTES || process.env.MCP_OAUTH_ACCESS_TOKEN_EXPIRE_MINUTES || '60');
 const OAUTH_AUTHORIZATION_CODE_EXPIRE_MINUTES = parseInt(process.env.OAUTH_AUTHORIZATION_CODE_EXPIRE_MINUTES || process.env.MCP_OAUTH_AUTHORIZATION_CODE_EXPIRE_MINUTES || '10');
 
+// Scopes a client can be registered with, and those any client can register itself with
+const OAUTH_SCOPES = ['openid', 'profile', 'read', 'write', 'admin'];
+const OAUTH_OPEN_SCOPES = ['openid', 'profile', 'read', 'write'];
+
+// Namespaces the API key is limited to; all namespaces if unset
+const API_KEY_NAMESPACES = process.env.MCP_API_KEY_NAMESPACES
+    ? process.env.MCP_API_KEY_NAMESPACES.split(',').map(name => name.trim()).filter(Boolean)
+    : undefined;
+
 // OAuth client storage
 const oauthClients = new Map();
 const authorizationCodes = new Map();
@@ -121,258 +133,59 @@ const authenticate = (req, res, next) => {
 };
 
 /**
- * MCP Memory Service integration class
- * Handles both the actual MCP Memory Service and fallback JSON storage
+ * Split an OAuth scope string into its scopes
+ * @param {string} [scope] - Space separated scopes
+ * @returns {string[]} The scopes
  */
-class MCPMemoryService {
-    /**
-     * Initialize the MCP Memory Service
-     */
-    constructor() {
-        this.process = null;
-        this.isReady = false;
-        this.memories = [];
-        this.memoryFile = path.join(process.env.DATA_DIR || '/data', 'memories.json');
-        this.fallbackMode = false;
-    }
-
-    /**
-     * Start the MCP Memory Service or fallback to JSON storage
-     * @returns {Promise<void>}
-     */
-    async start() {
-        try {
-            // Try to start the actual MCP Memory Service
-            await this.startMCPService();
-        } catch (error) {
-            console.warn('MCP Memory Service not available, using fallback mode:', error.message);
-            this.fallbackMode = true;
-            await this.loadFallbackMemories();
-        }
-    }
-
-    /**
-     * Start the actual MCP Memory Service Python process
-     * @returns {Promise<void>} Resolves when service is ready
-     * @throws {Error} If service fails to start or times out
-     */
-    async startMCPService() {
-        return new Promise((resolve, reject) => {
-            // Start the MCP Memory Service Python process
-            this.process = spawn('python3', ['-m', 'mcp_memory_service'], {
-                cwd: '/app',
-                env: {
-                    ...process.env,
-                    MCP_MEMORY_STORAGE_BACKEND: process.env.MCP_MEMORY_STORAGE_BACKEND || 'sqlite_vec',
-                    MCP_BATCH_SIZE: process.env.MCP_BATCH_SIZE || '16',
-                    MCP_MAX_CONTEXT_LENGTH: process.env.MCP_MAX_CONTEXT_LENGTH || '512',
-                    MCP_EMBEDDING_MODEL: process.env.MCP_EMBEDDING_MODEL || 'all-MiniLM-L6-v2',
-                    MCP_HTTP_ENABLED: 'true',
-                    MCP_HTTP_PORT: '8081',
-                    MCP_OAUTH_ENABLED: OAUTH_ENABLED ? 'true' : 'false',
-                    MCP_OAUTH_SECRET_KEY: OAUTH_SECRET_KEY,
-                    // CPU-only optimization flags
-                    OMP_NUM_THREADS: '2',
-                    MKL_NUM_THREADS: '2',
-                    CUDA_VISIBLE_DEVICES: '',
-                    PYTORCH_CUDA_ALLOC_CONF: ''
-                }
-            });
-
-            this.process.stdout.on('data', (data) => {
-                const output = data.toString();
-                console.log('MCP Service:', output);
-                if (output.includes('Server started')) {
-                    this.isReady = true;
-                    resolve();
-                }
-            });
-
-            this.process.stderr.on('data', (data) => {
-                console.error('MCP Service Error:', data.toString());
-            });
-
-            this.process.on('close', (code) => {
-                console.log(`MCP Memory Service process exited with code ${code}`);
-                this.isReady = false;
-            });
-
-            // Timeout after 30 seconds
-            setTimeout(() => {
-                if (!this.isReady) {
-                    reject(new Error('MCP Memory Service startup timeout'));
-                }
-            }, 30000);
-        });
-    }
-
-    /**
-     * Load memories from JSON file in fallback mode
-     * @returns {Promise<void>}
-     */
-    async loadFallbackMemories() {
-        try {
-            const data = await fs.readFile(this.memoryFile, 'utf8');
-            this.memories = JSON.parse(data);
-            console.log(`Loaded ${this.memories.length} memories in fallback mode`);
-        } catch (error) {
-            console.log('No existing memories found, starting fresh');
-            this.memories = [];
-        }
-    }
-
-    /**
-     * Save memories to JSON file in fallback mode
-     * @returns {Promise<void>}
-     */
-    async saveFallbackMemories() {
-        try {
-            await fs.writeFile(this.memoryFile, JSON.stringify(this.memories, null, 2));
-        } catch (error) {
-            console.error('Error saving memories:', error);
-        }
-    }
-
-    /**
-     * Store a new memory
-     * @param {string} content - The memory content
-     * @param {Object} [metadata={}] - Optional metadata for the memory
-     * @param {string[]} [tags=[]] - Optional tags for the memory
-     * @returns {Promise<Object>} The stored memory object
-     * @throws {Error} If content is not provided
-     */
-    async storeMemory(content, metadata = {}, tags = []) {
-        if (!content) {
-            throw new Error('Content is required');
-        }
-
-        if (this.fallbackMode) {
-            const memory = {
-                id: Date.now().toString(),
-                content,
-                metadata,
-                tags,
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            };
-            this.memories.push(memory);
-            await this.saveFallbackMemories();
-            return memory;
-        } else {
-            // Use actual MCP Memory Service
-            return this.callMCPService('store', { content, metadata, tags });
-        }
-    }
-
-    /**
-     * Search for memories based on query and tags
-     * @param {string} query - Search query string
-     * @param {string[]} [tags=[]] - Tags to filter by
-     * @param {number} [limit=10] - Maximum number of results to return
-     * @returns {Promise<Array>} Array of matching memories
-     */
-    async searchMemories(query, tags = [], limit = 10) {
-        if (this.fallbackMode) {
-            let results = [...this.memories];
-
-            if (query) {
-                const searchTerm = query.toLowerCase();
-                results = results.filter(memory => 
-                    memory.content.toLowerCase().includes(searchTerm)
-                );
-            }
-
-            if (tags.length > 0) {
-                results = results.filter(memory =>
-                    tags.some(tag => memory.tags.includes(tag))
-                );
-            }
-
-            results.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-            return results.slice(0, limit);
-        } else {
-            return this.callMCPService('search', { query, tags, limit });
-        }
-    }
+const parseScope = (scope) => String(scope || '').split(' ').filter(Boolean);
 
-    /**
-     * List memories with pagination
-     * @param {number} [limit=50] - Maximum number of memories to return
-     * @param {number} [offset=0] - Number of memories to skip
-     * @returns {Promise<Object>} Object containing memories array and pagination info
-     */
-    async listMemories(limit = 50, offset = 0) {
-        if (this.fallbackMode) {
-            const sortedMemories = [...this.memories].sort((a, b) => 
-                new Date(b.created_at) - new Date(a.created_at)
-            );
-            const paginatedMemories = sortedMemories.slice(offset, offset + limit);
-            return {
-                memories: paginatedMemories,
-                total: this.memories.length,
-                offset,
-                limit
-            };
-        } else {
-            return this.callMCPService('list', { limit, offset });
-        }
-    }
-
-    /**
-     * Delete a memory by ID
-     * @param {string} id - The memory ID to delete
-     * @returns {Promise<boolean>} True if deleted successfully
-     * @throws {Error} If memory is not found
-     */
-    async deleteMemory(id) {
-        if (this.fallbackMode) {
-            const index = this.memories.findIndex(memory => memory.id === id);
-            if (index === -1) {
-                throw new Error('Memory not found');
-            }
-            this.memories.splice(index, 1);
-            await this.saveFallbackMemories();
-            return true;
-        } else {
-            return this.callMCPService('delete', { id });
-        }
+/**
+ * Whether an authenticated request has admin access
+ * OAuth tokens need the `admin` scope; the API key is an admin, and without any authentication configured
+ * so is every caller. Namespace limits still apply to admins.
+ * @param {Object} req - Express request object, after authenticate
+ * @returns {boolean}
+ */
+const isAdmin = (req) => {
+    if (req.authMethod === 'oauth') {
+        return parseScope(req.user.scope).includes('admin');
     }
+    return req.authMethod === 'api_key' || (process.env.AUTH_ENABLED !== 'true' && !OAUTH_ENABLED);
+};
 
-    /**
-     * Call the actual MCP Memory Service (not yet implemented)
-     * @param {string} method - The method to call
-     * @param {Object} params - Parameters for the method
-     * @returns {Promise<*>} The result from the MCP service
-     * @throws {Error} Not yet implemented
-     */
-    async callMCPService(method, params) {
-        // This would make HTTP calls to the actual MCP Memory Service
-        // For now, we'll use the fallback implementation
-        throw new Error('MCP Service integration not yet implemented');
+/**
+ * Admin authorization middleware, used after authenticate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireAdmin = (req, res, next) => {
+    if (!isAdmin(req)) {
+        return res.status(403).json({ error: 'Admin access required' });
     }
+    next();
+};
 
-    /**
-     * Get service statistics
-     * @returns {Promise<Object>} Statistics about the service
-     */
-    async getStats() {
-        if (this.fallbackMode) {
-            return {
-                mode: 'fallback',
-                total_memories: this.memories.length,
-                backend: 'json_file'
-            };
-        } else {
-            return {
-                mode: 'mcp_service',
-                backend: process.env.MCP_MEMORY_STORAGE_BACKEND || 'sqlite_vec'
-            };
-        }
-    }
-}
+/**
+ * Caller information passed to the memory service for access hooks, revision history and namespace access
+ * OAuth tokens carry the namespaces of their client; the API key is limited by MCP_API_KEY_NAMESPACES
+ * @param {Object} req - Express request object
+ * @returns {Object} {user, authMethod, namespace, allowedNamespaces}
+ */
+const requestContext = (req) => ({
+    user: req.user,
+    authMethod: req.authMethod,
+    namespace: req.namespace,
+    allowedNamespaces: req.authMethod === 'oauth' ? req.user.namespaces : req.authMethod === 'api_key' ? API_KEY_NAMESPACES : undefined
+});
 
 // Initialize MCP Memory Service
-const mcpService = new MCPMemoryService();
+const mcpService = new MCPMemoryService({
+    env: {
+        MCP_OAUTH_ENABLED: OAUTH_ENABLED ? 'true' : 'false',
+        MCP_OAUTH_SECRET_KEY: OAUTH_SECRET_KEY
+    }
+});
 
 // OAuth 2.1 Discovery Endpoints
 if (OAUTH_ENABLED) {
@@ -415,10 +228,40 @@ if (OAUTH_ENABLED) {
     /**
      * OAuth Client Registration endpoint
      * Registers new OAuth clients dynamically
+     * Anyone can register a client with the `read` and `write` scopes, limited to the default namespace.
+     * The `admin` scope and `namespaces`, which limits the tokens of the client to those memory namespaces,
+     * need an admin's API key or token; an admin registration without `namespaces` gets the admin's own limits.
      */
-    app.post('/oauth/register', (req, res) => {
+    app.post('/oauth/register', (req, res, next) => {
+        // Registration is open, so only authenticate callers that present credentials
+        if (req.headers.authorization || req.headers['x-api-key']) {
+            return authenticate(req, res, next);
+        }
+        next();
+    }, (req, res) => {
         try {
-            const { client_name, redirect_uris = [], grant_types = ['authorization_code'], response_types = ['code'], scope = 'read write' } = req.body;
+            const { client_name, redirect_uris = [], grant_types = ['authorization_code'], response_types = ['code'], scope = 'read write', namespaces } = req.body;
+            const scopes = parseScope(scope);
+            if (scopes.length === 0 || !scopes.every(name => OAUTH_SCOPES.includes(name))) {
+                return res.status(400).json({ error: 'invalid_client_metadata', error_description: `scope must be made of ${OAUTH_SCOPES.join(', ')}` });
+            }
+            if (!scopes.every(name => OAUTH_OPEN_SCOPES.includes(name)) && !isAdmin(req)) {
+                return res.status(403).json({ error: 'access_denied', error_description: 'Registering a client with the admin scope requires admin access' });
+            }
+            if (namespaces !== undefined && (!Array.isArray(namespaces) || namespaces.length === 0 ||
+                !namespaces.every(name => typeof name === 'string' && NAMESPACE_PATTERN.test(name)))) {
+                return res.status(400).json({ error: 'invalid_client_metadata', error_description: 'namespaces must be a non-empty array of names' });
+            }
+            const callerNamespaces = isAdmin(req) ? requestContext(req).allowedNamespaces : [DEFAULT_NAMESPACE];
+            if (namespaces !== undefined && (!isAdmin(req) || (callerNamespaces && !namespaces.every(name => callerNamespaces.includes(name))))) {
+                return res.status(403).json({ error: 'access_denied', error_description: 'Assigning namespaces to a client requires admin access to them' });
+            }
+            // Checked after admin access so other callers cannot probe which namespaces exist
+            const unknown = (namespaces || []).find(name => !mcpService.namespaces.has(name));
+            if (unknown) {
+                return res.status(400).json({ error: 'invalid_client_metadata', error_description: `Namespace ${unknown} does not exist` });
+            }
+            const clientNamespaces = namespaces || callerNamespaces;
             
             const clientId = `mcp_client_${crypto.randomBytes(8).toString('hex')}`;
             const clientSecret = crypto.randomBytes(16).toString('hex');
@@ -430,7 +273,8 @@ if (OAUTH_ENABLED) {
                 redirect_uris,
                 grant_types,
                 response_types,
-                scope,
+                scope: scopes.join(' '),
+                ...(clientNamespaces && { namespaces: clientNamespaces }),
                 token_endpoint_auth_method: 'client_secret_basic',
                 created_at: new Date().toISOString()
             };
@@ -461,6 +305,13 @@ if (OAUTH_ENABLED) {
             if (!client) {
                 return res.status(400).json({ error: 'invalid_client' });
             }
+
+            // Only grant scopes the client was registered with; without a requested scope, all of them
+            const clientScopes = parseScope(client.scope);
+            const grantedScopes = scope ? parseScope(scope).filter(name => clientScopes.includes(name)) : clientScopes;
+            if (grantedScopes.length === 0) {
+                return res.status(400).json({ error: 'invalid_scope' });
+            }
             
             // For simplicity, auto-approve all authorization requests
             // In production, you'd show a consent screen
@@ -470,7 +321,7 @@ if (OAUTH_ENABLED) {
             authorizationCodes.set(authCode, {
                 client_id,
                 redirect_uri,
-                scope,
+                scope: grantedScopes.join(' '),
                 expires_at: expiresAt
             });
             
@@ -511,11 +362,17 @@ if (OAUTH_ENABLED) {
             if (!client || client.client_secret !== client_secret) {
                 return res.status(400).json({ error: 'invalid_client' });
             }
+
+            // A code can only be exchanged by the client it was issued to, which decides its scope and namespaces
+            if (authCodeData.client_id !== client_id) {
+                return res.status(400).json({ error: 'invalid_grant' });
+            }
             
             // Generate access token
             const accessTokenPayload = {
                 client_id,
                 scope: authCodeData.scope,
+                ...(client.namespaces && { namespaces: client.namespaces }),
                 iat: Math.floor(Date.now() / 1000),
                 exp: Math.floor(Date.now() / 1000) + (OAUTH_ACCESS_TOKEN_EXPIRE_MINUTES * 60),
                 sub: client_id
@@ -582,6 +439,7 @@ app.get('/info', authenticate, async (req, res) => {
             mode: stats.mode,
             backend: stats.backend,
             total_memories: stats.total_memories || 0,
+            capabilities: mcpService.capabilities,
             data_dir: process.env.DATA_DIR,
             auth_method: req.authMethod,
             environment: {
@@ -594,89 +452,20 @@ app.get('/info', authenticate, async (req, res) => {
         });
     } catch (error) {
         console.error('Error getting service info:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 /**
- * Store a memory endpoint
- * Creates a new memory with content, metadata, and tags
+ * Memory, admin and namespace endpoints, shared with http-wrapper-enhanced.js
  */
-app.post('/memory/store', authenticate, async (req, res) => {
-    try {
-        const { content, metadata = {}, tags = [] } = req.body;
-        const memory = await mcpService.storeMemory(content, metadata, tags);
-        console.log(`Stored memory: ${memory.id}`);
-        res.json({ success: true, memory_id: memory.id, memory });
-    } catch (error) {
-        console.error('Error storing memory:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * Search memories endpoint
- * Searches for memories based on query and tags
- */
-app.get('/memory/search', authenticate, async (req, res) => {
-    try {
-        const { query, tags, limit = 10 } = req.query;
-        const searchTags = tags ? (Array.isArray(tags) ? tags : [tags]) : [];
-        const results = await mcpService.searchMemories(query, searchTags, parseInt(limit));
-        res.json({ memories: results, total: results.length });
-    } catch (error) {
-        console.error('Error searching memories:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * List memories endpoint
- * Returns paginated list of all memories
- */
-app.get('/memory/list', authenticate, async (req, res) => {
-    try {
-        const { limit = 50, offset = 0 } = req.query;
-        const result = await mcpService.listMemories(parseInt(limit), parseInt(offset));
-        res.json(result);
-    } catch (error) {
-        console.error('Error listing memories:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * Delete memory endpoint
- * Deletes a memory by its ID
- */
-app.delete('/memory/:id', authenticate, async (req, res) => {
-    try {
-        const { id } = req.params;
-        await mcpService.deleteMemory(id);
-        console.log(`Deleted memory: ${id}`);
-        res.json({ success: true });
-    } catch (error) {
-        console.error('Error deleting memory:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * Get memory statistics endpoint
- * Returns statistics about stored memories
- */
-app.get('/memory/stats', authenticate, async (req, res) => {
-    try {
-        const stats = await mcpService.getStats();
-        res.json(stats);
-    } catch (error) {
-        console.error('Error getting stats:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
+app.use(createMemoryRouter({ mcpService, authenticate, requireAdmin, requestContext }));
 
 // Start server
 const PORT = process.env.PORT || 8080;
+// How long shutdown waits for requests in flight before closing their connections
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.MCP_SHUTDOWN_TIMEOUT_MS || '5000');
+let server = null;
 
 /**
  * Start the HTTP server and initialize the MCP Memory Service
@@ -688,7 +477,7 @@ async function startServer() {
     // Start the MCP Memory Service
     await mcpService.start();
     
-    app.listen(PORT, () => {
+    server = app.listen(PORT, () => {
         console.log(`MCP Memory Service HTTP API running on port ${PORT}`);
         console.log(`Data directory: ${process.env.DATA_DIR}`);
         console.log(`CORS enabled: ${process.env.CORS_ENABLED}`);
@@ -705,21 +494,43 @@ async function startServer() {
     });
 }
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('Received SIGTERM, shutting down gracefully...');
-    if (mcpService.process) {
-        mcpService.process.kill();
+/**
+ * Stop accepting requests, wait up to SHUTDOWN_TIMEOUT_MS for those in flight, then flush pending writes,
+ * stop the MCP Memory Service and exit
+ * @param {string} signal - The received signal
+ * @returns {Promise<void>}
+ */
+async function shutdown(signal) {
+    console.log(`Received ${signal}, shutting down gracefully...`);
+    if (server) {
+        const closed = new Promise(resolve => server.close(resolve));
+        // Idle keep-alive connections would otherwise hold the server open
+        server.closeIdleConnections();
+        let timer;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(() => resolve(true), SHUTDOWN_TIMEOUT_MS);
+        });
+        // Slow or stuck requests must not keep pending writes from being flushed before the process is killed
+        if (await Promise.race([closed.then(() => false), timedOut])) {
+            console.warn(`Requests still in flight after ${SHUTDOWN_TIMEOUT_MS} ms, closing their connections`);
+            server.closeAllConnections();
+            await closed;
+        }
+        clearTimeout(timer);
     }
-    process.exit(0);
-});
-
-process.on('SIGINT', () => {
-    console.log('Received SIGINT, shutting down gracefully...');
-    if (mcpService.process) {
-        mcpService.process.kill();
+    try {
+        await mcpService.stop();
+    } catch (error) {
+        console.error('Error flushing memories during shutdown:', error);
     }
     process.exit(0);
-});
+}
+
+// Graceful shutdown
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
-startServer().catch(console.error);
+startServer().catch((error) => {
+    console.error('Failed to start MCP Memory Service HTTP Wrapper:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,468 @@
+const express = require('express');
+const { multipartUpload } = require('./multipart');
+
+/**
+ * Namespace selection middleware
+ * Requests under /ns/<namespace>/ are routed without the prefix; other requests can select a namespace
+ * with the X-Memory-Namespace header. Without either, the memory service uses the default namespace.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const selectNamespace = (req, res, next) => {
+    const match = req.url.match(/^\/ns\/([^/?]+)(.*)$/);
+    if (match) {
+        req.namespace = match[1];
+        req.url = match[2].startsWith('/') ? match[2] : `/${match[2]}`;
+    } else {
+        req.namespace = req.get('X-Memory-Namespace');
+    }
+    next();
+};
+
+/**
+ * Create the router with the memory, admin and namespace endpoints shared by both HTTP wrappers
+ * The wrappers differ in how callers authenticate and which of them are admins, so they pass those in.
+ * @param {Object} options - Router options
+ * @param {MCPMemoryService} options.mcpService - The memory service
+ * @param {Function} options.authenticate - Authentication middleware setting req.authMethod and, for OAuth, req.user
+ * @param {Function} options.requireAdmin - Middleware rejecting non-admin callers with 403, used after authenticate
+ * @param {Function} options.requestContext - Builds the caller context {user, authMethod, namespace, allowedNamespaces} from a request
+ * @returns {express.Router} The router
+ */
+function createMemoryRouter({ mcpService, authenticate, requireAdmin, requestContext }) {
+    const router = express.Router();
+
+    /**
+     * Store a memory endpoint
+     * Creates a new memory with content, metadata, tags, and optional expiry, importance and pinning
+     */
+    router.post('/memory/store', authenticate, async (req, res) => {
+        try {
+            const { content, metadata = {}, tags = [], expires_at, ttl_seconds, importance, pinned } = req.body;
+            const { memory, duplicate } = await mcpService.storeMemory(content, metadata, tags, requestContext(req),
+                { expires_at, ttl_seconds, importance, pinned });
+            console.log(duplicate ? `Found existing memory for duplicate: ${memory.id}` : `Stored memory: ${memory.id}`);
+            res.json({ success: true, memory_id: memory.id, memory, duplicate });
+        } catch (error) {
+            console.error('Error storing memory:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Batch store endpoint
+     * Stores an array of memories at once and reports the result of each item
+     */
+    router.post('/memory/batch', authenticate, async (req, res) => {
+        try {
+            const items = Array.isArray(req.body) ? req.body : req.body.items;
+            const results = await mcpService.storeMemories(items, requestContext(req));
+            const stored = results.filter(result => result.success).length;
+            console.log(`Stored ${stored} of ${results.length} memories in batch`);
+            res.json({ success: stored === results.length, stored, failed: results.length - stored, results });
+        } catch (error) {
+            console.error('Error storing memory batch:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Bulk operation endpoint
+     * Previews (dry run) or runs a delete, retag or metadata change on all memories matching a filter
+     */
+    router.post('/memory/bulk', authenticate, async (req, res) => {
+        try {
+            const result = await mcpService.bulkOperation(req.body, requestContext(req));
+            res.json(result);
+        } catch (error) {
+            console.error('Error running bulk operation:', error);
+            res.status(error.status || 500).json({ error: error.message, position: error.position });
+        }
+    });
+
+    /**
+     * Search memories endpoint
+     * Searches for memories based on query and tags
+     */
+    router.get('/memory/search', authenticate, async (req, res) => {
+        try {
+            const { query, tags, limit = 10, mode } = req.query;
+            const searchTags = tags ? (Array.isArray(tags) ? tags : [tags]) : [];
+            const results = await mcpService.searchMemories(query, searchTags, parseInt(limit), requestContext(req), { mode });
+            res.json({ memories: results, total: results.length });
+        } catch (error) {
+            console.error('Error searching memories:', error);
+            res.status(error.status || 500).json({ error: error.message, position: error.position });
+        }
+    });
+
+    /**
+     * List memories endpoint
+     * Returns paginated list of all memories
+     */
+    router.get('/memory/list', authenticate, async (req, res) => {
+        try {
+            const { limit = 50, offset = 0 } = req.query;
+            const result = await mcpService.listMemories(parseInt(limit), parseInt(offset), requestContext(req));
+            res.json(result);
+        } catch (error) {
+            console.error('Error listing memories:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Replace memory endpoint
+     * Replaces the content, metadata and tags of a memory, keeping its ID
+     */
+    router.put('/memory/:id', authenticate, async (req, res) => {
+        try {
+            const memory = await mcpService.replaceMemory(req.params.id, req.body, requestContext(req));
+            console.log(`Updated memory: ${memory.id}`);
+            res.json({ success: true, memory });
+        } catch (error) {
+            console.error('Error updating memory:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Patch memory endpoint
+     * Applies a JSON merge patch (RFC 7386) to the content, metadata and tags of a memory
+     */
+    router.patch('/memory/:id', authenticate, async (req, res) => {
+        try {
+            const memory = await mcpService.patchMemory(req.params.id, req.body, requestContext(req));
+            console.log(`Patched memory: ${memory.id}`);
+            res.json({ success: true, memory });
+        } catch (error) {
+            console.error('Error patching memory:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Memory revisions endpoint
+     * Returns the revision history of a memory, oldest first
+     */
+    router.get('/memory/:id/revisions', authenticate, async (req, res) => {
+        try {
+            const revisions = await mcpService.getRevisions(req.params.id, requestContext(req));
+            res.json({ memory_id: req.params.id, revisions, total: revisions.length });
+        } catch (error) {
+            console.error('Error getting revisions:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Revert memory endpoint
+     * Restores the content, metadata and tags of a memory from an earlier revision
+     */
+    router.post('/memory/:id/revert/:rev', authenticate, async (req, res) => {
+        try {
+            const memory = await mcpService.revertMemory(req.params.id, parseInt(req.params.rev), requestContext(req));
+            console.log(`Reverted memory ${memory.id} to revision ${req.params.rev}`);
+            res.json({ success: true, memory });
+        } catch (error) {
+            console.error('Error reverting memory:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Memory links endpoint
+     * Returns the links from and to a memory
+     */
+    router.get('/memory/:id/links', authenticate, async (req, res) => {
+        try {
+            const links = await mcpService.getLinks(req.params.id, requestContext(req));
+            res.json({ memory_id: req.params.id, links, total: links.length });
+        } catch (error) {
+            console.error('Error getting links:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Create link endpoint
+     * Links a memory to another memory with a type such as supersedes, related_to or about_person
+     */
+    router.post('/memory/:id/links', authenticate, async (req, res) => {
+        try {
+            const { link, created } = await mcpService.linkMemories(req.params.id, req.body, requestContext(req));
+            if (created) {
+                console.log(`Linked memory ${link.from} ${link.type} ${link.to}`);
+            }
+            res.json({ success: true, link, created });
+        } catch (error) {
+            console.error('Error linking memories:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Remove link endpoint
+     * Removes a link of the given type from a memory to a target memory
+     */
+    router.delete('/memory/:id/links/:type/:target', authenticate, async (req, res) => {
+        try {
+            const { id, type, target } = req.params;
+            await mcpService.unlinkMemories(id, type, target, requestContext(req));
+            console.log(`Unlinked memory ${id} ${type} ${target}`);
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error unlinking memories:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Memory graph endpoint
+     * Returns the memories reachable from a memory within ?depth links (default 2), optionally only following ?types
+     */
+    router.get('/memory/:id/graph', authenticate, async (req, res) => {
+        try {
+            const { depth, types } = req.query;
+            const graph = await mcpService.getGraph(req.params.id, {
+                depth: depth !== undefined ? Number(depth) : undefined,
+                types: types ? String(types).split(',').map(type => type.trim()).filter(Boolean) : undefined,
+                context: requestContext(req)
+            });
+            res.json(graph);
+        } catch (error) {
+            console.error('Error getting memory graph:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Memory attachments endpoint
+     * Lists the files attached to a memory
+     */
+    router.get('/memory/:id/attachments', authenticate, async (req, res) => {
+        try {
+            const attachments = await mcpService.listAttachments(req.params.id, requestContext(req));
+            res.json({ memory_id: req.params.id, attachments, total: attachments.length });
+        } catch (error) {
+            console.error('Error listing attachments:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Upload attachments endpoint
+     * Attaches the files of a multipart/form-data upload to a memory
+     */
+    router.post('/memory/:id/attachments', authenticate, multipartUpload(mcpService.attachmentMaxBytes), async (req, res) => {
+        try {
+            const attachments = await mcpService.addAttachments(req.params.id, req.files, requestContext(req));
+            console.log(`Attached ${attachments.length} files to memory ${req.params.id}`);
+            res.status(201).json({ success: true, attachments });
+        } catch (error) {
+            console.error('Error adding attachments:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Download attachment endpoint
+     * Returns the content of an attached file with its content type and file name
+     */
+    router.get('/memory/:id/attachments/:attachmentId', authenticate, async (req, res) => {
+        try {
+            const { attachment, data } = await mcpService.getAttachment(req.params.id, req.params.attachmentId, requestContext(req));
+            res.attachment(attachment.filename);
+            res.set({ 'Content-Type': attachment.content_type, 'X-Content-Type-Options': 'nosniff' });
+            res.send(data);
+        } catch (error) {
+            console.error('Error getting attachment:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Delete attachment endpoint
+     * Removes a file attached to a memory
+     */
+    router.delete('/memory/:id/attachments/:attachmentId', authenticate, async (req, res) => {
+        try {
+            await mcpService.deleteAttachment(req.params.id, req.params.attachmentId, requestContext(req));
+            console.log(`Removed attachment ${req.params.attachmentId} from memory ${req.params.id}`);
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error deleting attachment:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Restore memory endpoint
+     * Moves a memory out of the trash
+     */
+    router.post('/memory/:id/restore', authenticate, async (req, res) => {
+        try {
+            const memory = await mcpService.restoreMemory(req.params.id, requestContext(req));
+            console.log(`Restored memory: ${memory.id}`);
+            res.json({ success: true, memory });
+        } catch (error) {
+            console.error('Error restoring memory:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Delete memory endpoint
+     * Moves a memory to the trash, or deletes it permanently with ?hard=true
+     */
+    router.delete('/memory/:id', authenticate, async (req, res) => {
+        try {
+            const { id } = req.params;
+            await mcpService.deleteMemory(id, { hard: req.query.hard === 'true', context: requestContext(req) });
+            console.log(`Deleted memory: ${id}`);
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error deleting memory:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Get memory statistics endpoint
+     * Returns statistics about stored memories
+     */
+    router.get('/memory/stats', authenticate, async (req, res) => {
+        try {
+            const stats = await mcpService.getStats(requestContext(req));
+            res.json(stats);
+        } catch (error) {
+            console.error('Error getting stats:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * List trash endpoint
+     * Returns memories in the trash, most recently deleted first
+     */
+    router.get('/memory/trash', authenticate, async (req, res) => {
+        try {
+            const { limit = 50, offset = 0 } = req.query;
+            const result = await mcpService.listTrash(parseInt(limit), parseInt(offset), requestContext(req));
+            res.json(result);
+        } catch (error) {
+            console.error('Error listing trash:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Get memory endpoint
+     * Returns a single memory by its ID, optionally limited to the fields listed in `fields`
+     */
+    router.get('/memory/:id', authenticate, async (req, res) => {
+        try {
+            const { fields } = req.query;
+            const memory = await mcpService.getMemory(req.params.id, {
+                fields: fields ? String(fields).split(',').map(field => field.trim()).filter(Boolean) : undefined,
+                context: requestContext(req)
+            });
+            res.json({ memory });
+        } catch (error) {
+            console.error('Error getting memory:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * List snapshots endpoint
+     * Returns the stored snapshots, newest first
+     */
+    router.get('/admin/snapshots', authenticate, requireAdmin, async (req, res) => {
+        try {
+            const snapshots = await mcpService.listSnapshots();
+            res.json({ snapshots, total: snapshots.length });
+        } catch (error) {
+            console.error('Error listing snapshots:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Restore snapshot endpoint
+     * Replaces all memories with the content of a snapshot
+     */
+    router.post('/admin/snapshots/:id/restore', authenticate, requireAdmin, async (req, res) => {
+        try {
+            const result = await mcpService.restoreSnapshot(req.params.id, requestContext(req));
+            res.json({ success: true, ...result });
+        } catch (error) {
+            console.error('Error restoring snapshot:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Dedupe endpoint
+     * Collapses memories whose content only differs in whitespace or case; ?dry_run=true only reports them
+     */
+    router.post('/admin/dedupe', authenticate, requireAdmin, async (req, res) => {
+        try {
+            const result = await mcpService.dedupeMemories({ dryRun: req.query.dry_run === 'true', context: requestContext(req) });
+            res.json({ success: true, ...result });
+        } catch (error) {
+            console.error('Error deduplicating memories:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * List namespaces endpoint
+     * Returns the namespaces the caller can use, with their number of memories
+     */
+    router.get('/namespaces', authenticate, async (req, res) => {
+        try {
+            const namespaces = await mcpService.listNamespaces(requestContext(req));
+            res.json({ namespaces, total: namespaces.length });
+        } catch (error) {
+            console.error('Error listing namespaces:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Create namespace endpoint
+     * Creates an empty namespace named `name`
+     */
+    router.post('/namespaces', authenticate, requireAdmin, async (req, res) => {
+        try {
+            const namespace = await mcpService.createNamespace(req.body.name, requestContext(req));
+            res.status(201).json({ success: true, namespace });
+        } catch (error) {
+            console.error('Error creating namespace:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Delete namespace endpoint
+     * Deletes an empty namespace, or a namespace and all its memories with ?purge=true
+     */
+    router.delete('/namespaces/:name', authenticate, requireAdmin, async (req, res) => {
+        try {
+            const result = await mcpService.deleteNamespace(req.params.name, {
+                purge: req.query.purge === 'true',
+                context: requestContext(req)
+            });
+            res.json({ success: true, ...result });
+        } catch (error) {
+            console.error('Error deleting namespace:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { selectNamespace, createMemoryRouter };
@@ -0,0 +1,1467 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createBackend, isLocalBackend, MemoryServiceError } = require('./backends');
+const { migrateStorageFile } = require('./backends/storage-schema');
+const { StorageCipher } = require('./backends/storage-cipher');
+const SnapshotStore = require('./backends/snapshot-store');
+const RevisionStore = require('./backends/revision-store');
+const LinkStore = require('./backends/link-store');
+const AttachmentStore = require('./backends/attachment-store');
+const { NamespaceStore, DEFAULT_NAMESPACE, NAMESPACE_PATTERN } = require('./backends/namespace-store');
+const { contentHash } = require('./backends/content-hash');
+const { rankMemories, SEARCH_MODES } = require('./backends/ranking');
+const { parseQuery } = require('./backends/search-query');
+
+// Fields that can be selected with field projection; the ID is always returned
+const MEMORY_FIELDS = ['id', 'content', 'metadata', 'tags', 'namespace', 'importance', 'pinned', 'created_at', 'updated_at', 'expires_at',
+    'legacy_id'];
+
+// How long deleted memories stay in the trash, and how often expired ones are purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.MCP_TRASH_RETENTION_DAYS || '30');
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// How often expired memories are swept, and whether they are moved to the trash or deleted
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+const EXPIRED_ACTION = process.env.MCP_EXPIRED_ACTION || 'trash';
+
+// Days after which recency counts half in search ranking
+const RANKING_HALF_LIFE_DAYS = parseFloat(process.env.MCP_RANKING_HALF_LIFE_DAYS || '30');
+
+// Largest number of memories accepted in one batch
+const BATCH_MAX_ITEMS = parseInt(process.env.MCP_BATCH_MAX_ITEMS || '1000');
+
+// Bulk operations, how long a dry run can be confirmed, and how many memories are changed at once
+const BULK_ACTIONS = ['delete', 'add_tags', 'remove_tags', 'set_metadata'];
+const BULK_CONFIRM_TTL_MS = 10 * 60 * 1000;
+const BULK_SAMPLE_SIZE = 10;
+const BULK_CHUNK_SIZE = 100;
+
+// What storing content that only differs in whitespace or case from an existing memory does
+const DEDUPE_MODES = ['allow', 'reject', 'return_existing', 'merge'];
+const DEDUPE_MODE = process.env.MCP_DEDUPE_MODE || 'return_existing';
+
+// Link types are lowercase identifiers such as supersedes, related_to or about_person
+const LINK_TYPE_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+
+// Limits of graph traversal
+const GRAPH_DEFAULT_DEPTH = 2;
+const GRAPH_MAX_DEPTH = 5;
+const GRAPH_MAX_NODES = 500;
+
+// Largest attached file, and largest total size of all attached files
+const ATTACHMENT_MAX_BYTES = parseFloat(process.env.MCP_ATTACHMENT_MAX_SIZE_MB || '10') * 1024 * 1024;
+const ATTACHMENTS_MAX_TOTAL_BYTES = parseFloat(process.env.MCP_ATTACHMENTS_MAX_TOTAL_MB || '500') * 1024 * 1024;
+
+// Content types stored for attachments, with optional parameters such as charset; others are stored as application/octet-stream
+const CONTENT_TYPE_PATTERN = /^[\w!#$&^.+-]+\/[\w!#$&^.+-]+(\s*;\s*[\w!#$&^.+-]+=("[^"\r\n]*"|[\w!#$&^.+-]+))*$/;
+
+// Fields clients can change with PUT and PATCH
+const EDITABLE_FIELDS = ['content', 'metadata', 'tags', 'importance', 'pinned'];
+
+/**
+ * Check whether a value is a plain JSON object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Apply a JSON merge patch (RFC 7386) to a value
+ * @param {*} target - Current value
+ * @param {*} patch - Merge patch; null members remove keys, objects merge recursively, anything else replaces
+ * @returns {*} The patched value
+ */
+function applyMergePatch(target, patch) {
+    if (!isPlainObject(patch)) {
+        return patch;
+    }
+    const result = isPlainObject(target) ? { ...target } : {};
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value);
+        }
+    }
+    return result;
+}
+
+/**
+ * Resolve the requested expiry of a new memory
+ * @param {Object} expiry - Expiry fields from the request
+ * @param {string} [expiry.expires_at] - Timestamp after which the memory expires
+ * @param {number} [expiry.ttl_seconds] - Seconds from now until the memory expires
+ * @returns {string|undefined} ISO expiry timestamp, or undefined if the memory does not expire
+ * @throws {MemoryServiceError} 400 if both are given or a value is invalid
+ */
+function resolveExpiry({ expires_at: expiresAt, ttl_seconds: ttlSeconds } = {}) {
+    if (expiresAt !== undefined && ttlSeconds !== undefined) {
+        throw new MemoryServiceError('Use either expires_at or ttl_seconds, not both', 400);
+    }
+    if (ttlSeconds !== undefined) {
+        if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0) {
+            throw new MemoryServiceError('ttl_seconds must be a positive integer', 400);
+        }
+        return new Date(Date.now() + ttlSeconds * 1000).toISOString();
+    }
+    if (expiresAt !== undefined) {
+        const date = typeof expiresAt === 'string' ? new Date(expiresAt) : new Date(NaN);
+        if (isNaN(date.getTime())) {
+            throw new MemoryServiceError('expires_at must be an ISO 8601 timestamp', 400);
+        }
+        if (date.getTime() <= Date.now()) {
+            throw new MemoryServiceError('expires_at must be in the future', 400);
+        }
+        return date.toISOString();
+    }
+    return undefined;
+}
+
+/**
+ * Merge the tags and metadata of a duplicate into a memory
+ * Tags are combined; metadata keys of the duplicate overwrite those of the memory
+ * @param {Object} memory - Memory to keep
+ * @param {Object} duplicate - Duplicate {metadata, tags}
+ * @returns {Object} Merged {metadata, tags}
+ */
+function mergeDuplicateFields(memory, duplicate) {
+    return {
+        metadata: { ...memory.metadata, ...duplicate.metadata },
+        tags: [...new Set([...memory.tags, ...duplicate.tags])]
+    };
+}
+
+/**
+ * Namespace of a memory; memories from the Python service have none and belong to the default namespace
+ * @param {Object} memory - Memory or revision
+ * @returns {string}
+ */
+function namespaceOf(memory) {
+    return memory.namespace || DEFAULT_NAMESPACE;
+}
+
+/**
+ * Check whether a caller may use a namespace
+ * @param {string} namespace - Namespace name
+ * @param {Object} context - Caller {allowedNamespaces}, where undefined allows every namespace
+ * @returns {boolean}
+ */
+function canAccess(namespace, context) {
+    return !context.allowedNamespaces || context.allowedNamespaces.includes(namespace);
+}
+
+/**
+ * Make an uploaded file name safe to store and send back in a Content-Disposition header
+ * Directories and control characters are removed and the name is shortened to 255 characters
+ * @param {string} [filename] - File name sent by the client
+ * @returns {string} The file name, or `attachment` if nothing is left
+ */
+function sanitizeFilename(filename) {
+    const name = String(filename || '').split(/[\\/]/).pop().replace(/[\x00-\x1f\x7f]/g, '').trim().slice(0, 255);
+    return name && name !== '.' && name !== '..' ? name : 'attachment';
+}
+
+/**
+ * MCP Memory Service integration class
+ * Validates requests and delegates storage to the backend selected by MCP_MEMORY_STORAGE_BACKEND,
+ * falling back to MCP_FALLBACK_STORAGE_BACKEND (json_file by default) when the Python MCP Memory Service is unavailable
+ */
+class MCPMemoryService {
+    /**
+     * Initialize the MCP Memory Service
+     * @param {Object} [options={}] - Options passed to the storage backend
+     * @param {Object} [options.env] - Extra environment variables for the spawned Python service
+     */
+    constructor(options = {}) {
+        this.options = { dataDir: process.env.DATA_DIR || '/data', cipher: StorageCipher.fromEnv(), ...options };
+        this.backendName = process.env.MCP_MEMORY_STORAGE_BACKEND || 'sqlite_vec';
+        this.fallbackBackendName = process.env.MCP_FALLBACK_STORAGE_BACKEND || 'json_file';
+        this.backend = null;
+        this.dedupeMode = DEDUPE_MODES.includes(DEDUPE_MODE) ? DEDUPE_MODE : 'return_existing';
+        if (this.dedupeMode !== DEDUPE_MODE) {
+            console.warn(`Unknown MCP_DEDUPE_MODE ${DEDUPE_MODE}, using return_existing`);
+        }
+        this.snapshots = new SnapshotStore(this.options);
+        this.revisions = new RevisionStore(this.options);
+        this.links = new LinkStore(this.options);
+        this.attachments = new AttachmentStore(this.options);
+        this.attachmentMaxBytes = ATTACHMENT_MAX_BYTES;
+        this.namespaces = new NamespaceStore(this.options);
+        this.accessHooks = [];
+        this.purgeTimer = null;
+        this.expiryTimer = null;
+        this.expirySweep = { removed: 0, last_run: null };
+        this.bulkPreviews = new Map();
+    }
+
+    /**
+     * Register a hook called whenever a single memory is read
+     * Hooks run after the response is prepared; errors they throw are logged and ignored
+     * @param {Function} hook - Called with (memory, context), where context is {user, authMethod, namespace} of the caller
+     */
+    onAccess(hook) {
+        this.accessHooks.push(hook);
+    }
+
+    /**
+     * Whether memories are stored inside the wrapper instead of the Python service
+     * @returns {boolean}
+     */
+    get fallbackMode() {
+        return !this.backend || this.backend.mode === 'fallback';
+    }
+
+    /**
+     * Migrate local storage, start the configured backend or fall back to local storage,
+     * load the revision history, links, attachments and namespaces, re-encrypt snapshots after a key change, and schedule snapshots, trash purging and expiry sweeps when memories are stored locally
+     * @returns {Promise<void>}
+     * @throws {StorageVersionError} If memories.json was written by a newer add-on version
+     * @throws {EncryptionKeyError} If memories.json is encrypted with a key that is not configured
+     */
+    async start() {
+        await migrateStorageFile(path.join(this.options.dataDir, 'memories.json'), { cipher: this.options.cipher });
+
+        if (isLocalBackend(this.backendName)) {
+            this.backend = createBackend(this.backendName, this.options);
+            await this.backend.open();
+        } else {
+            try {
+                // Try to start the actual MCP Memory Service
+                this.backend = createBackend(this.backendName, this.options);
+                await this.backend.open();
+            } catch (error) {
+                console.warn('MCP Memory Service not available, using fallback mode:', error.message);
+                await this.backend.close();
+                this.backend = createBackend(this.fallbackBackendName, this.options);
+                await this.backend.open();
+            }
+        }
+
+        await this.revisions.open();
+        await this.links.open();
+        await this.attachments.open();
+        await this.namespaces.open();
+        await this.snapshots.reencrypt();
+        if (this.fallbackMode) {
+            await this.snapshots.start(this.backend);
+        }
+        if (this.backend.supportsTrash) {
+            await this.purgeTrash();
+            this.purgeTimer = setInterval(() => this.purgeTrash(), TRASH_PURGE_INTERVAL_MS);
+            this.purgeTimer.unref();
+        }
+        if (this.backend.supportsExpiry) {
+            await this.sweepExpired();
+            this.expiryTimer = setInterval(() => this.sweepExpired(), EXPIRY_SWEEP_INTERVAL_MS);
+            this.expiryTimer.unref();
+        }
+    }
+
+    /**
+     * Stop the backend and release its resources
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.snapshots.stop();
+        clearInterval(this.purgeTimer);
+        this.purgeTimer = null;
+        clearInterval(this.expiryTimer);
+        this.expiryTimer = null;
+        if (this.backend) {
+            await this.backend.close();
+        }
+        await this.revisions.close();
+        await this.links.close();
+        await this.attachments.close();
+        await this.namespaces.close();
+    }
+
+    /**
+     * Store a new memory
+     * Content that only differs in whitespace or case from an existing memory is handled according to MCP_DEDUPE_MODE
+     * @param {string} content - The memory content
+     * @param {Object} [metadata={}] - Optional metadata for the memory
+     * @param {string[]} [tags=[]] - Optional tags for the memory
+     * @param {Object} [context={}] - Caller {user, authMethod, namespace, allowedNamespaces}; the memory is stored in
+     *                                the selected namespace and the caller is recorded in the revision history
+     * @param {Object} [options={}] - Optional fields of the memory
+     * @param {string} [options.expires_at] - Timestamp after which the memory expires
+     * @param {number} [options.ttl_seconds] - Seconds until the memory expires, instead of expires_at
+     * @param {number} [options.importance] - Importance from 0 to 1, used in search ranking (default 0.5)
+     * @param {boolean} [options.pinned] - Rank the memory before all others in search
+     * @returns {Promise<Object>} {memory, duplicate}, where duplicate is true if an existing memory was returned
+     * @throws {MemoryServiceError} 400 if content is not provided or an optional field is invalid, 403 or 404 for a namespace
+     *                              the caller cannot use, 409 for a duplicate in reject mode,
+     *                              501 for optional fields not supported when memories are stored by the Python service
+     */
+    async storeMemory(content, metadata = {}, tags = [], context = {}, options = {}) {
+        if (!content) {
+            throw new MemoryServiceError('Content is required', 400);
+        }
+        const namespace = this.resolveNamespace(context);
+        const { expires_at, ttl_seconds, importance, pinned } = options;
+        const expiresAt = this.resolveExpiry({ expires_at, ttl_seconds });
+        this.validateRanking({ importance, pinned });
+        const existing = this.dedupeMode !== 'allow' && typeof content === 'string' &&
+            await this.backend.findDuplicate(content, namespace);
+        if (existing) {
+            return { memory: await this.resolveDuplicate(existing, { metadata, tags }, context), duplicate: true };
+        }
+        const memory = await this.backend.store({ content, metadata, tags, namespace, expires_at: expiresAt, importance, pinned });
+        await this.recordRevision(memory, 'store', context);
+        return { memory, duplicate: false };
+    }
+
+    /**
+     * Resolve the requested expiry of a new memory for the current backend
+     * @param {Object} expiry - {expires_at} or {ttl_seconds}
+     * @returns {string|undefined} ISO expiry timestamp, or undefined if the memory does not expire
+     * @throws {MemoryServiceError} 400 for an invalid expiry, 501 if the backend cannot expire memories
+     */
+    resolveExpiry(expiry) {
+        const expiresAt = resolveExpiry(expiry);
+        if (expiresAt && !this.backend.supportsExpiry) {
+            throw new MemoryServiceError('Expiring memories are only available when memories are stored by the add-on', 501);
+        }
+        return expiresAt;
+    }
+
+    /**
+     * Handle storing a duplicate of an existing memory according to MCP_DEDUPE_MODE
+     * @param {Object} existing - The existing memory
+     * @param {Object} duplicate - Fields {metadata, tags} of the memory that was not stored
+     * @param {Object} context - Caller {user, authMethod}
+     * @returns {Promise<Object>} The existing memory, with the duplicate merged into it in merge mode
+     * @throws {MemoryServiceError} 409 in reject mode
+     */
+    async resolveDuplicate(existing, duplicate, context) {
+        if (this.dedupeMode === 'reject') {
+            throw new MemoryServiceError(`Duplicate of memory ${existing.id}`, 409);
+        }
+        if (this.dedupeMode === 'return_existing') {
+            return existing;
+        }
+        return this.mergeInto(existing, [duplicate], context);
+    }
+
+    /**
+     * Merge the tags and metadata of duplicates into a memory, recorded as a 'merge' revision
+     * @param {Object} memory - Memory to keep
+     * @param {Array<Object>} duplicates - Duplicates {metadata, tags}, later ones taking precedence
+     * @param {Object} context - Caller {user, authMethod}
+     * @returns {Promise<Object>} The memory, unchanged if the duplicates add nothing
+     */
+    async mergeInto(memory, duplicates, context) {
+        const merged = duplicates.reduce(mergeDuplicateFields, memory);
+        if (JSON.stringify(merged) === JSON.stringify({ metadata: memory.metadata, tags: memory.tags })) {
+            return memory;
+        }
+        return this.applyUpdate(memory, merged, context, 'merge');
+    }
+
+    /**
+     * Store several memories in one request, persisting them together
+     * Invalid items are reported individually and do not prevent the others from being stored.
+     * Duplicates of existing memories or of earlier items are handled according to MCP_DEDUPE_MODE.
+     * @param {Array<Object>} items - Memory inputs {content, metadata, tags, expires_at, ttl_seconds, importance, pinned}
+     * @param {Object} [context={}] - Caller {user, authMethod, namespace, allowedNamespaces}; all items are stored in the selected namespace
+     * @returns {Promise<Array<Object>>} Per-item results {index, success, memory_id, duplicate} or {index, success, error, status}
+     * @throws {MemoryServiceError} 400 if items is not an array or exceeds MCP_BATCH_MAX_ITEMS, 403 or 404 for a namespace the caller cannot use
+     */
+    async storeMemories(items, context = {}) {
+        if (!Array.isArray(items)) {
+            throw new MemoryServiceError('Items must be an array', 400);
+        }
+        if (items.length > BATCH_MAX_ITEMS) {
+            throw new MemoryServiceError(`A batch can contain at most ${BATCH_MAX_ITEMS} items`, 400);
+        }
+        const namespace = this.resolveNamespace(context);
+
+        const results = [];
+        const valid = [];
+        items.forEach((item, index) => {
+            try {
+                if (!isPlainObject(item)) {
+                    throw new MemoryServiceError('Item must be an object', 400);
+                }
+                const { content, metadata = {}, tags = [], expires_at, ttl_seconds, importance, pinned } = item;
+                this.validateChanges({ content, metadata, tags, importance, pinned });
+                const expiresAt = this.resolveExpiry({ expires_at, ttl_seconds });
+                valid.push({ index, memory: { content, metadata, tags, namespace, expires_at: expiresAt, importance, pinned } });
+            } catch (error) {
+                results[index] = { index, success: false, error: error.message, status: error.status || 500 };
+            }
+        });
+
+        const unique = [];
+        const firstItems = new Map();
+        for (const item of this.dedupeMode === 'allow' ? [] : valid) {
+            const { index, memory } = item;
+            try {
+                // Sequential, so an item merged into an existing memory is seen by the next duplicate
+                const existing = await this.backend.findDuplicate(memory.content, namespace);
+                if (existing) {
+                    const resolved = await this.resolveDuplicate(existing, memory, context);
+                    results[index] = { index, success: true, memory_id: resolved.id, duplicate: true };
+                    continue;
+                }
+            } catch (error) {
+                results[index] = { index, success: false, error: error.message, status: error.status || 500 };
+                continue;
+            }
+
+            const first = firstItems.get(contentHash(memory.content));
+            if (!first) {
+                firstItems.set(contentHash(memory.content), item);
+                unique.push(item);
+            } else if (this.dedupeMode === 'reject') {
+                results[index] = { index, success: false, error: `Duplicate of item ${first.index}`, status: 409 };
+            } else {
+                if (this.dedupeMode === 'merge') {
+                    Object.assign(first.memory, mergeDuplicateFields(first.memory, memory));
+                }
+                item.duplicateOf = first;
+            }
+        }
+        const toStore = this.dedupeMode === 'allow' ? valid : unique;
+
+        const stored = await this.backend.storeMany(toStore.map(({ memory }) => memory));
+        await Promise.all(toStore.map(({ index }, position) => {
+            const memory = stored[position];
+            if (memory instanceof Error) {
+                results[index] = { index, success: false, error: memory.message, status: memory.status || 500 };
+                return null;
+            }
+            results[index] = { index, success: true, memory_id: memory.id };
+            return this.recordRevision(memory, 'store', context);
+        }));
+        for (const { index, duplicateOf } of valid.filter(item => item.duplicateOf)) {
+            const first = results[duplicateOf.index];
+            results[index] = first.success
+                ? { index, success: true, memory_id: first.memory_id, duplicate: true }
+                : { ...first, index };
+        }
+        return results;
+    }
+
+    /**
+     * Preview or run a bulk operation on the memories matching a filter
+     *
+     * Without `confirm` this is a dry run: it returns the number of matching memories
+     * in the selected namespace, a sample of them, and a token. Sending the token as
+     * `confirm` in the same namespace runs the operation on exactly the previewed
+     * memories; tokens expire after 10 minutes and work once.
+     * @param {Object} request - Bulk request
+     * @param {Object} [request.filter] - {query, tags} with the same semantics as searchMemories in keyword mode
+     * @param {string} [request.action] - 'delete', 'add_tags', 'remove_tags' or 'set_metadata'
+     * @param {string[]} [request.tags] - Tags to add or remove
+     * @param {Object} [request.metadata] - Metadata merge patch for set_metadata; null values remove keys
+     * @param {string} [request.confirm] - Token from a dry run, to run the operation
+     * @param {Object} [context={}] - Caller {user, authMethod, namespace, allowedNamespaces}, recorded in the revision history
+     * @returns {Promise<Object>} Dry run {dry_run, action, matched, sample, confirm, expires_at}
+     *                            or result {dry_run, action, matched, affected, failed}
+     * @throws {MemoryServiceError} 400 for an invalid request or unknown token
+     */
+    async bulkOperation(request, context = {}) {
+        if (!isPlainObject(request)) {
+            throw new MemoryServiceError('Request must be a JSON object', 400);
+        }
+        if (request.confirm !== undefined) {
+            return this.runBulkOperation(request.confirm, context);
+        }
+
+        const { filter = {}, action, tags = [], metadata = {} } = request;
+        if (!BULK_ACTIONS.includes(action)) {
+            throw new MemoryServiceError(`Action must be one of ${BULK_ACTIONS.join(', ')}`, 400);
+        }
+        if (!isPlainObject(filter) || (!filter.query && !(Array.isArray(filter.tags) && filter.tags.length > 0))) {
+            throw new MemoryServiceError('Filter needs a query or tags', 400);
+        }
+        if (filter.query !== undefined && typeof filter.query !== 'string') {
+            throw new MemoryServiceError('Query must be a string', 400);
+        }
+        const { text, filter: queryFilter } = parseQuery(filter.query || '');
+        if ((action === 'add_tags' || action === 'remove_tags') &&
+            (!Array.isArray(tags) || tags.length === 0 || !tags.every(tag => typeof tag === 'string'))) {
+            throw new MemoryServiceError('Tags must be a non-empty array of strings', 400);
+        }
+        if (action === 'set_metadata' && (!isPlainObject(metadata) || Object.keys(metadata).length === 0)) {
+            throw new MemoryServiceError('Metadata must be a non-empty object', 400);
+        }
+
+        const namespace = this.resolveNamespace(context);
+        const matches = await this.backend.search({
+            query: text,
+            filter: queryFilter,
+            tags: Array.isArray(filter.tags) ? filter.tags : [],
+            limit: Number.MAX_SAFE_INTEGER,
+            namespace,
+            // Only memories containing a query word, so a bulk delete never catches merely similar ones
+            mode: 'keyword'
+        });
+
+        const now = Date.now();
+        for (const [token, preview] of this.bulkPreviews) {
+            if (preview.expires < now) {
+                this.bulkPreviews.delete(token);
+            }
+        }
+        const token = crypto.randomBytes(16).toString('hex');
+        const expires = now + BULK_CONFIRM_TTL_MS;
+        this.bulkPreviews.set(token, { action, tags, metadata, namespace, ids: matches.map(memory => memory.id), expires });
+
+        return {
+            dry_run: true,
+            action,
+            matched: matches.length,
+            sample: matches.slice(0, BULK_SAMPLE_SIZE).map(({ id, content, tags: memoryTags }) => ({ id, content, tags: memoryTags })),
+            confirm: token,
+            expires_at: new Date(expires).toISOString()
+        };
+    }
+
+    /**
+     * Run a previewed bulk operation
+     * Memories that were deleted or changed by others since the dry run are reported as failed
+     * @param {string} token - Token returned by the dry run
+     * @param {Object} context - Caller {user, authMethod, namespace, allowedNamespaces}
+     * @returns {Promise<Object>} {dry_run, action, matched, affected, failed}
+     * @throws {MemoryServiceError} 400 if the token is unknown, expired or from another namespace
+     */
+    async runBulkOperation(token, context) {
+        const namespace = this.resolveNamespace(context);
+        const preview = this.bulkPreviews.get(token);
+        this.bulkPreviews.delete(token);
+        if (!preview || preview.expires < Date.now() || preview.namespace !== namespace) {
+            throw new MemoryServiceError('Unknown or expired confirmation token; run a dry run first', 400);
+        }
+
+        const { action, tags, metadata, ids } = preview;
+        const failed = [];
+        // Changing a chunk of memories together lets the backend write them with shared flushes,
+        // while keeping the number of pending writes bounded for large matches
+        for (let start = 0; start < ids.length; start += BULK_CHUNK_SIZE) {
+            await Promise.all(ids.slice(start, start + BULK_CHUNK_SIZE).map(async (id) => {
+                try {
+                    if (action === 'delete') {
+                        await this.deleteMemory(id, { context });
+                        return;
+                    }
+                    const memory = await this.getExisting(id, context);
+                    const changes = {
+                        add_tags: () => ({ tags: [...new Set([...memory.tags, ...tags])] }),
+                        remove_tags: () => ({ tags: memory.tags.filter(tag => !tags.includes(tag)) }),
+                        set_metadata: () => ({ metadata: applyMergePatch(memory.metadata, metadata) })
+                    }[action]();
+                    await this.applyUpdate(memory, changes, context, 'update');
+                } catch (error) {
+                    failed.push({ id, error: error.message, status: error.status || 500 });
+                }
+            }));
+        }
+
+        return { dry_run: false, action, matched: ids.length, affected: ids.length - failed.length, failed };
+    }
+
+    /**
+     * Get a single memory by ID
+     * @param {string} id - The memory ID
+     * @param {Object} [options={}] - Read options
+     * @param {string[]} [options.fields] - Fields to return; all fields if omitted
+     * @param {Object} [options.context={}] - Caller information, passed to access hooks
+     * @returns {Promise<Object>} The memory, limited to the requested fields
+     * @throws {MemoryServiceError} 400 for unknown fields, 404 if the memory does not exist in the selected namespace
+     */
+    async getMemory(id, options = {}) {
+        const { fields, context = {} } = options;
+        const unknown = (fields || []).filter(field => !MEMORY_FIELDS.includes(field));
+        if (unknown.length > 0) {
+            throw new MemoryServiceError(`Unknown fields: ${unknown.join(', ')}; valid fields are ${MEMORY_FIELDS.join(', ')}`, 400);
+        }
+
+        const memory = await this.getExisting(id, context);
+        this.notifyAccess(memory, context);
+
+        if (!fields) {
+            return memory;
+        }
+        return Object.fromEntries(Object.entries(memory)
+            .filter(([field]) => field === 'id' || fields.includes(field)));
+    }
+
+    /**
+     * Run the registered access hooks for a memory
+     * @param {Object} memory - The memory that was read
+     * @param {Object} context - Caller information {user, authMethod, namespace}
+     */
+    notifyAccess(memory, context) {
+        for (const hook of this.accessHooks) {
+            Promise.resolve()
+                .then(() => hook(memory, context))
+                .catch(error => console.error('Error in memory access hook:', error));
+        }
+    }
+
+    /**
+     * Replace the editable fields of a memory
+     * @param {string} id - The memory ID
+     * @param {Object} memory - New memory fields
+     * @param {string} memory.content - The memory content
+     * @param {Object} [memory.metadata={}] - Metadata for the memory
+     * @param {string[]} [memory.tags=[]] - Tags for the memory
+     * @param {number} [memory.importance] - Importance from 0 to 1; the default 0.5 if omitted
+     * @param {boolean} [memory.pinned=false] - Rank the memory before all others in search
+     * @param {Object} [context={}] - Caller {user, authMethod}, recorded in the revision history
+     * @returns {Promise<Object>} The updated memory
+     * @throws {MemoryServiceError} 400 for invalid fields, 404 if the memory does not exist,
+     *                              501 if memories are stored by the Python service
+     */
+    async replaceMemory(id, { content, metadata = {}, tags = [], importance, pinned = false }, context = {}) {
+        const changes = { content, metadata, tags, importance, pinned };
+        this.validateChanges(changes);
+        return this.applyUpdate(await this.getExisting(id, context), changes, context, 'update');
+    }
+
+    /**
+     * Update a memory with a JSON merge patch (RFC 7386)
+     * Only content, metadata, tags, importance and pinned can be patched; metadata is merged key by key
+     * @param {string} id - The memory ID
+     * @param {Object} patch - Merge patch for the memory
+     * @param {Object} [context={}] - Caller {user, authMethod}, recorded in the revision history
+     * @returns {Promise<Object>} The updated memory
+     * @throws {MemoryServiceError} 400 for an invalid patch, 404 if the memory does not exist,
+     *                              501 if memories are stored by the Python service
+     */
+    async patchMemory(id, patch, context = {}) {
+        if (!isPlainObject(patch)) {
+            throw new MemoryServiceError('Patch must be a JSON object', 400);
+        }
+        const readOnly = Object.keys(patch).filter(field => !EDITABLE_FIELDS.includes(field));
+        if (readOnly.length > 0) {
+            throw new MemoryServiceError(`Cannot change fields: ${readOnly.join(', ')}; editable fields are ${EDITABLE_FIELDS.join(', ')}`, 400);
+        }
+
+        const memory = await this.getExisting(id, context);
+        const patched = applyMergePatch(memory, patch);
+        // A null member removes the field: no tags, no metadata, default importance, not pinned,
+        // or missing content which is rejected
+        const changes = {};
+        for (const field of Object.keys(patch)) {
+            changes[field] = patched[field] ?? { metadata: {}, tags: [], pinned: false }[field];
+        }
+        this.validateChanges({ content: memory.content, metadata: memory.metadata, tags: memory.tags, ...changes });
+        return this.applyUpdate(memory, changes, context, 'update');
+    }
+
+    /**
+     * Get the revision history of a memory, oldest first
+     * Revisions of deleted memories remain available
+     * @param {string} id - The memory ID
+     * @param {Object} [context={}] - Caller {namespace, allowedNamespaces}
+     * @returns {Promise<Array>} Revisions {rev, memory_id, op, content, metadata, tags, importance, pinned, namespace,
+     *                           changed_at, changed_by}
+     * @throws {MemoryServiceError} 404 if the memory has neither revisions nor exists in the selected namespace
+     */
+    async getRevisions(id, context = {}) {
+        const revisions = this.revisions.list(id);
+        if (revisions.length === 0) {
+            // Memories stored before revisions were recorded have no history until their first change
+            await this.getExisting(id, context);
+        } else if (namespaceOf(revisions[revisions.length - 1]) !== this.resolveNamespace(context)) {
+            throw new MemoryServiceError('Memory not found', 404);
+        }
+        return revisions;
+    }
+
+    /**
+     * Restore the content, metadata, tags, importance and pinned flag of a memory from an earlier revision
+     * Revisions recorded before importance and pinned were kept leave those as they are. The revert is recorded
+     * as a new revision.
+     * @param {string} id - The memory ID
+     * @param {number} rev - Revision number to restore
+     * @param {Object} [context={}] - Caller {user, authMethod}, recorded in the revision history
+     * @returns {Promise<Object>} The updated memory
+     * @throws {MemoryServiceError} 404 if the memory or revision does not exist, 501 if memories are stored by the Python service
+     */
+    async revertMemory(id, rev, context = {}) {
+        const memory = await this.getExisting(id, context);
+        const revision = this.revisions.get(id, rev);
+        if (!revision) {
+            throw new MemoryServiceError('Revision not found', 404);
+        }
+        const { content, metadata, tags } = revision;
+        const changes = { content, metadata, tags };
+        if ('importance' in revision) {
+            changes.importance = revision.importance ?? undefined;
+        }
+        if ('pinned' in revision) {
+            changes.pinned = revision.pinned;
+        }
+        return this.applyUpdate(memory, changes, context, 'revert', { reverted_to: rev });
+    }
+
+    /**
+     * Get the links from and to a memory
+     * @param {string} id - The memory ID
+     * @param {Object} [context={}] - Caller {namespace, allowedNamespaces}
+     * @returns {Promise<Array>} Links {from, to, type, created_at, created_by}
+     * @throws {MemoryServiceError} 404 if the memory does not exist in the selected namespace
+     */
+    async getLinks(id, context = {}) {
+        await this.getExisting(id, context);
+        return this.links.list(id);
+    }
+
+    /**
+     * Link a memory to another memory
+     * Both memories must be in the selected namespace; creating a link that already exists returns the existing link
+     * @param {string} id - ID of the linking memory
+     * @param {Object} link - Link to create
+     * @param {string} link.target - ID of the linked memory
+     * @param {string} link.type - Link type, a lowercase identifier such as supersedes, related_to or about_person
+     * @param {Object} [context={}] - Caller {user, authMethod}, recorded with the link
+     * @returns {Promise<Object>} {link, created}
+     * @throws {MemoryServiceError} 400 for an invalid link, 404 if either memory does not exist
+     */
+    async linkMemories(id, { target, type } = {}, context = {}) {
+        if (typeof type !== 'string' || !LINK_TYPE_PATTERN.test(type)) {
+            throw new MemoryServiceError('Type must be a lowercase identifier such as supersedes, related_to or about_person', 400);
+        }
+        if (!target || typeof target !== 'string') {
+            throw new MemoryServiceError('Target is required', 400);
+        }
+        if (target === id) {
+            throw new MemoryServiceError('A memory cannot link to itself', 400);
+        }
+        const memory = await this.getExisting(id, context);
+        const targetMemory = await this.backend.get(target);
+        if (!targetMemory || namespaceOf(targetMemory) !== namespaceOf(memory)) {
+            throw new MemoryServiceError('Target memory not found', 404);
+        }
+        return this.links.add(id, type, target, this.changedBy(context));
+    }
+
+    /**
+     * Remove a link between memories
+     * @param {string} id - ID of the linking memory
+     * @param {string} type - Link type
+     * @param {string} target - ID of the linked memory
+     * @param {Object} [context={}] - Caller {namespace, allowedNamespaces}
+     * @returns {Promise<boolean>} True if removed
+     * @throws {MemoryServiceError} 404 if the memory is not in the selected namespace or the link does not exist
+     */
+    async unlinkMemories(id, type, target, context = {}) {
+        await this.getExisting(id, context, { includeTrash: true });
+        if (!await this.links.remove(id, type, target)) {
+            throw new MemoryServiceError('Link not found', 404);
+        }
+        return true;
+    }
+
+    /**
+     * Get the memories linked to a memory, following links in both directions
+     * Memories in the trash or in other namespaces are left out together with their links
+     * @param {string} id - ID of the memory to start from
+     * @param {Object} [options={}] - Traversal options
+     * @param {number} [options.depth=2] - Number of links to follow, 1 to 5
+     * @param {string[]} [options.types] - Only follow links of these types
+     * @param {Object} [options.context={}] - Caller {namespace, allowedNamespaces}
+     * @returns {Promise<Object>} {root, depth, nodes, edges, truncated} with nodes {id, content, tags, created_at, depth}
+     *                            and edges {from, to, type}; truncated is true when the graph exceeded 500 memories
+     * @throws {MemoryServiceError} 400 for an invalid depth, 404 if the memory does not exist
+     */
+    async getGraph(id, options = {}) {
+        const { depth = GRAPH_DEFAULT_DEPTH, types, context = {} } = options;
+        if (!Number.isInteger(depth) || depth < 1 || depth > GRAPH_MAX_DEPTH) {
+            throw new MemoryServiceError(`Depth must be an integer from 1 to ${GRAPH_MAX_DEPTH}`, 400);
+        }
+
+        const node = (memory, level) => ({ id: memory.id, content: memory.content, tags: memory.tags, created_at: memory.created_at, depth: level });
+        const root = await this.getExisting(id, context);
+        const nodes = new Map([[root.id, node(root, 0)]]);
+        const edges = new Map();
+        let frontier = [root.id];
+        let truncated = false;
+
+        for (let level = 1; level <= depth && frontier.length > 0; level++) {
+            const next = [];
+            for (const current of frontier) {
+                for (const link of this.links.list(current)) {
+                    if (types && !types.includes(link.type)) {
+                        continue;
+                    }
+                    const neighbor = link.from === current ? link.to : link.from;
+                    if (!nodes.has(neighbor)) {
+                        if (nodes.size >= GRAPH_MAX_NODES) {
+                            truncated = true;
+                            continue;
+                        }
+                        const memory = await this.backend.get(neighbor);
+                        if (!memory || namespaceOf(memory) !== namespaceOf(root)) {
+                            continue;
+                        }
+                        nodes.set(neighbor, node(memory, level));
+                        next.push(neighbor);
+                    }
+                    edges.set(`${link.from} ${link.type} ${link.to}`, { from: link.from, to: link.to, type: link.type });
+                }
+            }
+            frontier = next;
+        }
+
+        return { root: root.id, depth, nodes: [...nodes.values()], edges: [...edges.values()], truncated };
+    }
+
+    /**
+     * List the files attached to a memory
+     * @param {string} id - The memory ID
+     * @param {Object} [context={}] - Caller {namespace, allowedNamespaces}
+     * @returns {Promise<Array>} Attachments {id, memory_id, filename, content_type, size, sha256, created_at, created_by}
+     * @throws {MemoryServiceError} 404 if the memory does not exist in the selected namespace
+     */
+    async listAttachments(id, context = {}) {
+        await this.getExisting(id, context);
+        return this.attachments.list(id);
+    }
+
+    /**
+     * Attach files to a memory
+     * Files are stored once per content hash, so attaching the same file again takes no extra space
+     * @param {string} id - The memory ID
+     * @param {Object[]} files - Files {filename, contentType, data} with the content as a Buffer
+     * @param {Object} [context={}] - Caller {user, authMethod, namespace, allowedNamespaces}, recorded with the attachments
+     * @returns {Promise<Array>} The new attachments
+     * @throws {MemoryServiceError} 400 if no file is given, 404 if the memory does not exist in the selected namespace,
+     *                              413 if a file exceeds MCP_ATTACHMENT_MAX_SIZE_MB or all files would exceed MCP_ATTACHMENTS_MAX_TOTAL_MB
+     */
+    async addAttachments(id, files, context = {}) {
+        if (!Array.isArray(files) || files.length === 0) {
+            throw new MemoryServiceError('No file uploaded; send files as multipart/form-data', 400);
+        }
+        for (const file of files) {
+            if (file.data.length > ATTACHMENT_MAX_BYTES) {
+                throw new MemoryServiceError(`${sanitizeFilename(file.filename)} exceeds the attachment size limit of ` +
+                    `${ATTACHMENT_MAX_BYTES / 1024 / 1024} MB`, 413);
+            }
+        }
+        await this.getExisting(id, context);
+        // Files already stored under the same hash take no extra space
+        const newFiles = new Map(files.map(file => [crypto.createHash('sha256').update(file.data).digest('hex'), file.data.length]));
+        const size = [...newFiles].reduce((total, [hash, length]) => total + (this.attachments.hasBlob(hash) ? 0 : length), 0);
+        if (this.attachments.totalBytes() + size > ATTACHMENTS_MAX_TOTAL_BYTES) {
+            throw new MemoryServiceError(`Attachments would exceed the total limit of ${ATTACHMENTS_MAX_TOTAL_BYTES / 1024 / 1024} MB`, 413);
+        }
+
+        const createdBy = this.changedBy(context);
+        const attachments = [];
+        for (const file of files) {
+            const contentType = CONTENT_TYPE_PATTERN.test(file.contentType || '') ? file.contentType : 'application/octet-stream';
+            attachments.push(await this.attachments.add(id, { filename: sanitizeFilename(file.filename), contentType, data: file.data }, createdBy));
+        }
+        return attachments;
+    }
+
+    /**
+     * Get a file attached to a memory with its content
+     * @param {string} id - The memory ID
+     * @param {string} attachmentId - The attachment ID
+     * @param {Object} [context={}] - Caller {namespace, allowedNamespaces}
+     * @returns {Promise<Object>} {attachment, data} with the content as a Buffer
+     * @throws {MemoryServiceError} 404 if the memory does not exist in the selected namespace or has no such attachment
+     */
+    async getAttachment(id, attachmentId, context = {}) {
+        await this.getExisting(id, context);
+        const attachment = this.attachments.get(attachmentId);
+        if (!attachment || attachment.memory_id !== id) {
+            throw new MemoryServiceError('Attachment not found', 404);
+        }
+        return { attachment, data: await this.attachments.read(attachment) };
+    }
+
+    /**
+     * Remove a file attached to a memory
+     * @param {string} id - The memory ID
+     * @param {string} attachmentId - The attachment ID
+     * @param {Object} [context={}] - Caller {namespace, allowedNamespaces}
+     * @returns {Promise<boolean>} True if removed
+     * @throws {MemoryServiceError} 404 if the memory does not exist in the selected namespace or has no such attachment
+     */
+    async deleteAttachment(id, attachmentId, context = {}) {
+        await this.getExisting(id, context);
+        const attachment = this.attachments.get(attachmentId);
+        if (!attachment || attachment.memory_id !== id) {
+            throw new MemoryServiceError('Attachment not found', 404);
+        }
+        await this.attachments.remove(attachmentId);
+        return true;
+    }
+
+    /**
+     * Remove the links and attachments of a permanently deleted memory, logging instead of failing the already applied delete
+     * @param {string} id - The memory ID
+     * @returns {Promise<void>}
+     */
+    async removeRelated(id) {
+        try {
+            await this.links.removeMemory(id);
+        } catch (error) {
+            console.error(`Error removing links of memory ${id}:`, error);
+        }
+        try {
+            await this.attachments.removeMemory(id);
+        } catch (error) {
+            console.error(`Error removing attachments of memory ${id}:`, error);
+        }
+    }
+
+    /**
+     * Get a memory that must exist in the namespace selected by the caller
+     * @param {string} id - The memory ID
+     * @param {Object} [context={}] - Caller {namespace, allowedNamespaces}
+     * @param {Object} [options={}] - Lookup options
+     * @param {boolean} [options.includeTrash=false] - Also find memories in the trash
+     * @returns {Promise<Object>} The memory
+     * @throws {MemoryServiceError} 403 or 404 for a namespace the caller cannot use, 404 if the memory does not exist in it
+     */
+    async getExisting(id, context = {}, options = {}) {
+        const namespace = this.resolveNamespace(context);
+        let memory = await this.backend.get(id);
+        if (!memory && options.includeTrash && this.backend.supportsTrash) {
+            memory = await this.backend.getTrashed(id);
+        }
+        if (!memory || namespaceOf(memory) !== namespace) {
+            throw new MemoryServiceError('Memory not found', 404);
+        }
+        return memory;
+    }
+
+    /**
+     * Resolve the namespace a caller works in
+     * @param {Object} [context={}] - Caller {namespace, allowedNamespaces}; without a namespace the default one is used
+     * @returns {string} The namespace
+     * @throws {MemoryServiceError} 400 for an invalid name, 403 if the caller may not use it, 404 if it does not exist
+     */
+    resolveNamespace(context = {}) {
+        const namespace = context.namespace || DEFAULT_NAMESPACE;
+        if (!NAMESPACE_PATTERN.test(namespace)) {
+            throw new MemoryServiceError('Namespace must be 1 to 64 lowercase letters, digits, _ or -', 400);
+        }
+        if (!canAccess(namespace, context)) {
+            throw new MemoryServiceError(`Access to namespace ${namespace} is not allowed`, 403);
+        }
+        if (!this.namespaces.has(namespace)) {
+            throw new MemoryServiceError('Namespace not found', 404);
+        }
+        return namespace;
+    }
+
+    /**
+     * Ensure a caller may use every namespace, for operations that span all of them
+     * @param {Object} context - Caller {allowedNamespaces}
+     * @param {string} action - Description of the operation for the error message
+     * @throws {MemoryServiceError} 403 if the caller is restricted to some namespaces
+     */
+    requireAllNamespaces(context, action) {
+        if (context.allowedNamespaces) {
+            throw new MemoryServiceError(`Only callers with access to all namespaces can ${action}`, 403);
+        }
+    }
+
+    /**
+     * Update a memory and record the change in its revision history
+     * Memories without history get their state before the change recorded as a baseline revision first
+     * @param {Object} memory - The memory before the change
+     * @param {Object} changes - Fields to replace
+     * @param {Object} context - Caller {user, authMethod}
+     * @param {string} op - Revision operation, 'update', 'merge' or 'revert'
+     * @param {Object} [extra] - Additional revision fields
+     * @returns {Promise<Object>} The updated memory
+     * @throws {MemoryServiceError} 501 if the backend cannot change stored memories
+     */
+    async applyUpdate(memory, changes, context, op, extra) {
+        if (!this.backend.supportsUpdate) {
+            throw new MemoryServiceError('Changing memories is only available when memories are stored by the add-on', 501);
+        }
+        if (this.revisions.list(memory.id).length === 0) {
+            await this.recordRevision(memory, 'baseline', {});
+        }
+        const updated = await this.backend.update(memory.id, changes);
+        await this.recordRevision(updated, op, context, extra);
+        return updated;
+    }
+
+    /**
+     * Record a revision, logging instead of failing the already applied change if it cannot be written
+     * @param {Object} memory - The memory after the change
+     * @param {string} op - Revision operation
+     * @param {Object} context - Caller {user, authMethod}
+     * @param {Object} [extra] - Additional revision fields
+     * @returns {Promise<void>}
+     */
+    async recordRevision(memory, op, context, extra) {
+        try {
+            await this.revisions.record(memory, op, this.changedBy(context), extra);
+        } catch (error) {
+            console.error(`Error recording revision of memory ${memory.id}:`, error);
+        }
+    }
+
+    /**
+     * Describe the caller of a change for revisions and links
+     * @param {Object} context - Caller {user, authMethod}
+     * @returns {Object|null} {auth_method, user}, or null for internal changes
+     */
+    changedBy(context) {
+        return context.authMethod
+            ? { auth_method: context.authMethod, user: context.user ? context.user.sub || context.user.client_id || null : null }
+            : null;
+    }
+
+    /**
+     * Validate editable memory fields
+     * @param {Object} changes - Fields {content, metadata, tags, importance, pinned}
+     * @throws {MemoryServiceError} 400 if a field has the wrong type, 501 if the backend cannot rank memories
+     */
+    validateChanges({ content, metadata, tags, importance, pinned }) {
+        if (!content || typeof content !== 'string') {
+            throw new MemoryServiceError('Content is required', 400);
+        }
+        if (!isPlainObject(metadata)) {
+            throw new MemoryServiceError('Metadata must be an object', 400);
+        }
+        if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+            throw new MemoryServiceError('Tags must be an array of strings', 400);
+        }
+        this.validateRanking({ importance, pinned });
+    }
+
+    /**
+     * Validate the importance and pinned flag of a memory
+     * @param {Object} fields - Fields {importance, pinned}, either of which may be undefined
+     * @throws {MemoryServiceError} 400 if a field has the wrong type, 501 if set while the backend cannot rank memories
+     */
+    validateRanking({ importance, pinned }) {
+        if (importance !== undefined && (typeof importance !== 'number' || !(importance >= 0 && importance <= 1))) {
+            throw new MemoryServiceError('Importance must be a number from 0 to 1', 400);
+        }
+        if (pinned !== undefined && typeof pinned !== 'boolean') {
+            throw new MemoryServiceError('Pinned must be true or false', 400);
+        }
+        if ((importance !== undefined || pinned) && !this.backend.supportsRanking) {
+            throw new MemoryServiceError('Importance and pinning are only available when memories are stored by the add-on', 501);
+        }
+    }
+
+    /**
+     * Search for memories based on query and tags
+     * When memories are stored by the add-on, memories matching any word of the query are returned with their BM25 `score`,
+     * and memories whose vector is similar to the query with their `similarity`, depending on the mode;
+     * pinned memories come first and the rest are ranked by relevance, importance and recency, which halves every MCP_RANKING_HALF_LIFE_DAYS.
+     * A query with phrases, operators or fields is parsed into a filter tree that decides which memories match (see backends/search-query.js).
+     * @param {string} query - Search query string
+     * @param {string[]} [tags=[]] - Tags to filter by
+     * @param {number} [limit=10] - Maximum number of results to return
+     * @param {Object} [context={}] - Caller {namespace, allowedNamespaces}; only the selected namespace is searched
+     * @param {Object} [options={}] - Search options
+     * @param {string} [options.mode='keyword'] - 'keyword' to match words, 'semantic' to match similar vectors, 'hybrid' for either;
+     *                                           the Python service always searches semantically
+     * @returns {Promise<Array>} Array of matching memories
+     * @throws {MemoryServiceError} 400 for an unknown mode or a query that is not a string
+     * @throws {QuerySyntaxError} 400 for a malformed query, with the `position` where parsing failed
+     */
+    async searchMemories(query, tags = [], limit = 10, context = {}, options = {}) {
+        const { mode = 'keyword' } = options;
+        if (!SEARCH_MODES.includes(mode)) {
+            throw new MemoryServiceError(`Mode must be one of ${SEARCH_MODES.join(', ')}`, 400);
+        }
+        if (query !== undefined && typeof query !== 'string') {
+            throw new MemoryServiceError('Query must be a string', 400);
+        }
+        const { text, filter } = parseQuery(query || '');
+        const namespace = this.resolveNamespace(context);
+        if (!this.backend.supportsRanking) {
+            return this.backend.search({ query: text, filter, tags, limit, namespace, mode });
+        }
+        const matches = await this.backend.search({ query: text, filter, tags, limit: Number.MAX_SAFE_INTEGER, namespace, mode });
+        return rankMemories(matches, { halfLifeDays: RANKING_HALF_LIFE_DAYS }).slice(0, limit);
+    }
+
+    /**
+     * List memories with pagination
+     * @param {number} [limit=50] - Maximum number of memories to return
+     * @param {number} [offset=0] - Number of memories to skip
+     * @param {Object} [context={}] - Caller {namespace, allowedNamespaces}; only the selected namespace is listed
+     * @returns {Promise<Object>} Object containing memories array and pagination info
+     */
+    async listMemories(limit = 50, offset = 0, context = {}) {
+        return this.backend.list({ limit, offset, namespace: this.resolveNamespace(context) });
+    }
+
+    /**
+     * Delete a memory by ID
+     * Memories are moved to the trash when the backend supports it, unless a hard delete is requested.
+     * Links from and to the memory and its attachments are kept while it is in the trash and removed when it is deleted permanently.
+     * @param {string} id - The memory ID to delete
+     * @param {Object} [options={}] - Delete options
+     * @param {boolean} [options.hard=false] - Remove the memory permanently, also from the trash
+     * @param {Object} [options.context={}] - Caller {user, authMethod, namespace, allowedNamespaces}, recorded in the revision history
+     * @returns {Promise<boolean>} True if deleted successfully
+     * @throws {MemoryServiceError} If memory is not found in the selected namespace
+     */
+    async deleteMemory(id, options = {}) {
+        const { hard = false, context = {} } = options;
+        if (!this.backend.supportsTrash) {
+            const memory = await this.getExisting(id, context);
+            await this.backend.delete(id);
+            await this.recordRevision(memory, 'delete', context);
+            await this.removeRelated(id);
+            return true;
+        }
+
+        if (!hard) {
+            await this.getExisting(id, context);
+            const memory = await this.backend.trash(id);
+            await this.recordRevision(memory, 'trash', context);
+            return true;
+        }
+        const memory = await this.getExisting(id, context, { includeTrash: true });
+        await this.backend.delete(id);
+        await this.recordRevision(memory, 'delete', context);
+        await this.removeRelated(id);
+        return true;
+    }
+
+    /**
+     * List memories in the trash, most recently deleted first
+     * @param {number} [limit=50] - Maximum number of memories to return
+     * @param {number} [offset=0] - Number of memories to skip
+     * @param {Object} [context={}] - Caller {namespace, allowedNamespaces}; only the selected namespace is listed
+     * @returns {Promise<Object>} {memories, total, offset, limit, retention_days}
+     * @throws {MemoryServiceError} 501 if the backend has no trash
+     */
+    async listTrash(limit = 50, offset = 0, context = {}) {
+        this.requireTrash();
+        const result = await this.backend.listTrash({ limit, offset, namespace: this.resolveNamespace(context) });
+        return { ...result, retention_days: TRASH_RETENTION_DAYS };
+    }
+
+    /**
+     * Move a memory out of the trash
+     * @param {string} id - The memory ID
+     * @param {Object} [context={}] - Caller {user, authMethod, namespace, allowedNamespaces}, recorded in the revision history
+     * @returns {Promise<Object>} The restored memory
+     * @throws {MemoryServiceError} 404 if the memory is not in the trash of the selected namespace, 501 if the backend has no trash
+     */
+    async restoreMemory(id, context = {}) {
+        this.requireTrash();
+        const namespace = this.resolveNamespace(context);
+        const trashed = await this.backend.getTrashed(id);
+        if (!trashed || namespaceOf(trashed) !== namespace) {
+            throw new MemoryServiceError('Memory not found in trash', 404);
+        }
+        const memory = await this.backend.restore(id);
+        await this.recordRevision(memory, 'restore', context);
+        return memory;
+    }
+
+    /**
+     * Ensure the backend keeps deleted memories in a trash
+     * @throws {MemoryServiceError} 501 if memories are stored by the Python service, which deletes them permanently
+     */
+    requireTrash() {
+        if (!this.backend.supportsTrash) {
+            throw new MemoryServiceError('The trash is only available when memories are stored by the add-on', 501);
+        }
+    }
+
+    /**
+     * Permanently remove memories that have been in the trash longer than MCP_TRASH_RETENTION_DAYS
+     * @returns {Promise<void>}
+     */
+    async purgeTrash() {
+        const before = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        try {
+            const purged = await this.backend.purgeTrash(before);
+            for (const id of purged) {
+                await this.removeRelated(id);
+            }
+            if (purged.length > 0) {
+                console.log(`Purged ${purged.length} memories from the trash`);
+            }
+        } catch (error) {
+            console.error('Error purging trash:', error);
+        }
+    }
+
+    /**
+     * Collapse memories whose content only differs in whitespace or case
+     * Memories are only compared within a namespace, and only namespaces the caller may use are checked.
+     * The oldest memory of each group is kept with the tags and metadata of the others merged into it,
+     * and the others are deleted like with deleteMemory
+     * @param {Object} [options={}] - Dedupe options
+     * @param {boolean} [options.dryRun=false] - Only report the duplicate groups
+     * @param {Object} [options.context={}] - Caller {user, authMethod, allowedNamespaces}, recorded in the revision history
+     * @returns {Promise<Object>} {dry_run, groups, removed, duplicates} with duplicates [{kept, removed}]
+     * @throws {MemoryServiceError} 501 if memories are stored by the Python service
+     */
+    async dedupeMemories(options = {}) {
+        const { dryRun = false, context = {} } = options;
+        this.requireLocalStorage();
+
+        const groups = new Map();
+        const memories = (await this.backend.exportAll())
+            .filter(memory => !memory.deleted_at && canAccess(namespaceOf(memory), context))
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+        for (const memory of memories) {
+            const key = `${namespaceOf(memory)} ${contentHash(memory.content)}`;
+            groups.set(key, [...(groups.get(key) || []), memory]);
+        }
+
+        const duplicates = [...groups.values()].filter(group => group.length > 1);
+        for (const [kept, ...removed] of dryRun ? [] : duplicates) {
+            const groupContext = { ...context, namespace: namespaceOf(kept) };
+            await this.mergeInto(kept, removed, groupContext);
+            for (const memory of removed) {
+                await this.deleteMemory(memory.id, { context: groupContext });
+            }
+        }
+
+        const removed = duplicates.reduce((total, group) => total + group.length - 1, 0);
+        if (!dryRun) {
+            console.log(`Removed ${removed} duplicate memories in ${duplicates.length} groups`);
+        }
+        return {
+            dry_run: dryRun,
+            groups: duplicates.length,
+            removed,
+            duplicates: duplicates.map(([kept, ...others]) => ({ kept: kept.id, removed: others.map(memory => memory.id) }))
+        };
+    }
+
+    /**
+     * Remove memories whose expiry has passed, moving them to the trash unless MCP_EXPIRED_ACTION is 'delete'
+     * @returns {Promise<void>}
+     */
+    async sweepExpired() {
+        try {
+            const expired = await this.backend.listExpired(new Date().toISOString());
+            const hard = EXPIRED_ACTION === 'delete';
+            let removed = 0;
+            for (const memory of expired) {
+                try {
+                    await this.deleteMemory(memory.id, { hard, context: { namespace: namespaceOf(memory) } });
+                    removed++;
+                } catch (error) {
+                    console.error(`Error removing expired memory ${memory.id}:`, error);
+                }
+            }
+            this.expirySweep = { removed: this.expirySweep.removed + removed, last_run: new Date().toISOString() };
+            if (removed > 0) {
+                console.log(`${hard ? 'Deleted' : 'Moved'} ${removed} expired memories${hard ? '' : ' to the trash'}`);
+            }
+        } catch (error) {
+            console.error('Error sweeping expired memories:', error);
+        }
+    }
+
+    /**
+     * List stored snapshots, newest first
+     * @returns {Promise<Array>} Snapshots {id, kind, timestamp, created_at, size}
+     * @throws {MemoryServiceError} 501 if memories are stored by the Python service
+     */
+    async listSnapshots() {
+        this.requireLocalStorage();
+        return this.snapshots.list();
+    }
+
+    /**
+     * Replace all memories with the content of a snapshot
+     * The current memories are saved as a pre-restore snapshot first, so a restore can be undone. Memories the restore
+     * changes get a revision, memories it removes lose their links and attachments, and namespaces of restored
+     * memories that were deleted since are created again.
+     * @param {string} id - Snapshot ID
+     * @param {Object} [context={}] - Caller {user, authMethod, allowedNamespaces}
+     * @returns {Promise<Object>} {restored, memories, backup} with the restored snapshot, memory count and pre-restore snapshot
+     * @throws {MemoryServiceError} 403 if the caller is restricted to some namespaces, 404 if the snapshot does not exist,
+     *                              501 if memories are stored by the Python service
+     */
+    async restoreSnapshot(id, context = {}) {
+        this.requireLocalStorage();
+        this.requireAllNamespaces(context, 'restore snapshots');
+        const memories = await this.snapshots.read(id);
+        const current = await this.backend.exportAll();
+        const backup = await this.snapshots.create('pre-restore', current);
+        await this.backend.replaceAll(memories);
+        console.log(`Restored ${memories.length} memories from snapshot ${id}`);
+        await this.reconcileRestore(current, memories, id, context);
+        return { restored: id, memories: memories.length, backup: backup.id };
+    }
+
+    /**
+     * Bring revisions, links, attachments and namespaces in line with memories replaced by a snapshot restore,
+     * logging instead of failing the already applied restore
+     * @param {Array} before - Memories before the restore
+     * @param {Array} after - Restored memories
+     * @param {string} snapshotId - ID of the restored snapshot, recorded with the revisions
+     * @param {Object} context - Caller {user, authMethod}
+     * @returns {Promise<void>}
+     */
+    async reconcileRestore(before, after, snapshotId, context) {
+        const previous = new Map(before.map(memory => [memory.id, memory]));
+        const restored = new Set(after.map(memory => memory.id));
+        const stateOf = memory => JSON.stringify([memory.content, memory.metadata, memory.tags, namespaceOf(memory)]);
+
+        for (const name of new Set(after.map(namespaceOf))) {
+            if (!this.namespaces.has(name)) {
+                try {
+                    await this.namespaces.add(name, this.changedBy(context));
+                    console.log(`Created namespace ${name} for memories restored from snapshot ${snapshotId}`);
+                } catch (error) {
+                    console.error(`Error creating namespace ${name}:`, error);
+                }
+            }
+        }
+
+        // Revisions are recorded together, so they share one journal write
+        const revisions = [];
+        for (const memory of after) {
+            const old = previous.get(memory.id);
+            if (old && stateOf(old) === stateOf(memory)) {
+                continue;
+            }
+            if (old && this.revisions.list(memory.id).length === 0) {
+                revisions.push(this.recordRevision(old, 'baseline', {}));
+            }
+            revisions.push(this.recordRevision(memory, 'restore', context, { snapshot: snapshotId }));
+        }
+        const removed = before.filter(memory => !restored.has(memory.id));
+        removed.forEach(memory => revisions.push(this.recordRevision(memory, 'delete', context, { snapshot: snapshotId })));
+        await Promise.all(revisions);
+
+        for (const memory of removed) {
+            await this.removeRelated(memory.id);
+        }
+    }
+
+    /**
+     * Ensure memories are stored by the wrapper, where snapshots and dedupe are available
+     * @throws {MemoryServiceError} 501 if memories are stored by the Python service
+     */
+    requireLocalStorage() {
+        if (!this.fallbackMode) {
+            throw new MemoryServiceError('This operation is only available when memories are stored by the add-on', 501);
+        }
+    }
+
+    /**
+     * List the namespaces a caller may use, with their number of memories
+     * @param {Object} [context={}] - Caller {allowedNamespaces}
+     * @returns {Promise<Array>} Namespaces {name, created_at, created_by, memories, trashed_memories}
+     */
+    async listNamespaces(context = {}) {
+        const namespaces = this.namespaces.list().filter(namespace => canAccess(namespace.name, context));
+        return Promise.all(namespaces.map(async (namespace) => {
+            const stats = await this.backend.stats({ namespace: namespace.name });
+            return { ...namespace, memories: stats.total_memories, trashed_memories: stats.trashed_memories || 0 };
+        }));
+    }
+
+    /**
+     * Create a namespace
+     * @param {string} name - Namespace name, 1 to 64 lowercase letters, digits, _ or -
+     * @param {Object} [context={}] - Caller {user, authMethod, allowedNamespaces}, recorded with the namespace
+     * @returns {Promise<Object>} The namespace {name, created_at, created_by}
+     * @throws {MemoryServiceError} 400 for an invalid name, 403 if the caller is restricted to some namespaces,
+     *                              409 if it already exists, 501 if memories are stored by the Python service
+     */
+    async createNamespace(name, context = {}) {
+        this.requireAllNamespaces(context, 'create namespaces');
+        if (typeof name !== 'string' || !NAMESPACE_PATTERN.test(name)) {
+            throw new MemoryServiceError('Namespace must be 1 to 64 lowercase letters, digits, _ or -', 400);
+        }
+        if (!this.backend.supportsNamespaces) {
+            throw new MemoryServiceError('Namespaces are only available when memories are stored by the add-on', 501);
+        }
+        if (this.namespaces.has(name)) {
+            throw new MemoryServiceError('Namespace already exists', 409);
+        }
+        const namespace = await this.namespaces.add(name, this.changedBy(context));
+        console.log(`Created namespace ${name}`);
+        return namespace;
+    }
+
+    /**
+     * Delete a namespace
+     * A namespace holding memories, including memories in its trash, is only deleted with purge,
+     * which deletes the memories permanently like a hard deleteMemory
+     * @param {string} name - Namespace name
+     * @param {Object} [options={}] - Delete options
+     * @param {boolean} [options.purge=false] - Also delete the memories in the namespace
+     * @param {Object} [options.context={}] - Caller {user, authMethod, allowedNamespaces}, recorded in the revision history
+     * @returns {Promise<Object>} {deleted, purged} with the namespace name and number of deleted memories
+     * @throws {MemoryServiceError} 400 for the default namespace, 403 if the caller is restricted to some namespaces,
+     *                              404 if it does not exist, 409 if it holds memories and purge is not set
+     */
+    async deleteNamespace(name, options = {}) {
+        const { purge = false, context = {} } = options;
+        this.requireAllNamespaces(context, 'delete namespaces');
+        if (name === DEFAULT_NAMESPACE) {
+            throw new MemoryServiceError('The default namespace cannot be deleted', 400);
+        }
+        if (!this.namespaces.has(name)) {
+            throw new MemoryServiceError('Namespace not found', 404);
+        }
+
+        const memories = (await this.backend.exportAll()).filter(memory => namespaceOf(memory) === name);
+        if (memories.length > 0 && !purge) {
+            throw new MemoryServiceError('Namespace is not empty; delete its memories first or purge it', 409);
+        }
+        for (const memory of memories) {
+            await this.deleteMemory(memory.id, { hard: true, context: { ...context, namespace: name } });
+        }
+        await this.namespaces.remove(name);
+        console.log(`Deleted namespace ${name}${memories.length > 0 ? ` and its ${memories.length} memories` : ''}`);
+        return { deleted: name, purged: memories.length };
+    }
+
+    /**
+     * Operations available with the current backend, reported by /info
+     * The Python service only stores, gets, deletes, searches and lists memories
+     * @returns {Object} Flags {update, trash, expiry, ranking, namespaces, structured_queries, snapshots, dedupe}
+     */
+    get capabilities() {
+        return {
+            update: this.backend.supportsUpdate,
+            trash: this.backend.supportsTrash,
+            expiry: this.backend.supportsExpiry,
+            ranking: this.backend.supportsRanking,
+            namespaces: this.backend.supportsNamespaces,
+            structured_queries: true,
+            snapshots: this.fallbackMode,
+            dedupe: this.fallbackMode
+        };
+    }
+
+    /**
+     * Get service statistics
+     * @param {Object} [context] - Caller {namespace, allowedNamespaces} to count the selected namespace; all namespaces without one
+     * @returns {Promise<Object>} Statistics about the service
+     */
+    async getStats(context) {
+        const namespace = context ? this.resolveNamespace(context) : undefined;
+        const stats = await this.backend.stats({ namespace });
+        return {
+            mode: this.backend.mode,
+            ...(namespace && { namespace }),
+            ...stats,
+            ...(this.backend.supportsExpiry && {
+                expired_removed: this.expirySweep.removed,
+                last_expiry_sweep: this.expirySweep.last_run
+            })
+        };
+    }
+}
+
+module.exports = { MCPMemoryService, MemoryServiceError };
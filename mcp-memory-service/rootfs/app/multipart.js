@@ -0,0 +1,117 @@
+const express = require('express');
+
+// Room for part headers and boundaries on top of the file size limit
+const MULTIPART_OVERHEAD_BYTES = 64 * 1024;
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+/**
+ * Parse the parameters of a Content-Disposition header
+ * @param {string} header - Header value, for example `form-data; name="file"; filename="a.txt"`
+ * @returns {Object} Parameters {name, filename}; filename* (RFC 5987) takes precedence over filename
+ */
+function parseDisposition(header) {
+    const params = {};
+    for (const match of header.matchAll(/;\s*([\w*-]+)=(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g)) {
+        const value = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+        params[match[1].toLowerCase()] = value;
+    }
+    const extended = /^UTF-8''(.*)$/i.exec(params['filename*'] || '');
+    if (extended) {
+        try {
+            params.filename = decodeURIComponent(extended[1]);
+        } catch (error) {
+            // Keep the plain filename parameter
+        }
+    }
+    return { name: params.name, filename: params.filename };
+}
+
+/**
+ * Split a multipart/form-data body into its parts
+ * @param {Buffer} body - Request body
+ * @param {string} contentType - Content-Type header with the boundary
+ * @returns {Array} Parts {name, filename, contentType, data}; filename is undefined for plain fields
+ * @throws {Error} If the boundary is missing or the body is not valid multipart
+ */
+function parseMultipart(body, contentType) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+    if (!boundary) {
+        throw new Error('Content-Type has no multipart boundary');
+    }
+    const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+    const nextDelimiter = Buffer.concat([CRLF, delimiter]);
+
+    let position = body.indexOf(delimiter);
+    if (position === -1) {
+        throw new Error('Body does not contain the multipart boundary');
+    }
+    position += delimiter.length;
+
+    const parts = [];
+    // Each part follows a delimiter line and ends at the next one; `--` after a delimiter closes the body
+    while (body.toString('latin1', position, position + 2) !== '--') {
+        if (!body.subarray(position, position + 2).equals(CRLF)) {
+            throw new Error('Malformed multipart delimiter');
+        }
+        const headerEnd = body.indexOf(HEADER_END, position + 2);
+        if (headerEnd === -1) {
+            throw new Error('Multipart part has no header end');
+        }
+        const end = body.indexOf(nextDelimiter, headerEnd + HEADER_END.length);
+        if (end === -1) {
+            throw new Error('Multipart body is not terminated');
+        }
+
+        const headers = {};
+        for (const line of body.toString('utf8', position + 2, headerEnd).split('\r\n')) {
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+                headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+            }
+        }
+        parts.push({
+            ...parseDisposition(headers['content-disposition'] || ''),
+            contentType: headers['content-type'],
+            data: body.subarray(headerEnd + HEADER_END.length, end)
+        });
+        position = end + nextDelimiter.length;
+    }
+    return parts;
+}
+
+/**
+ * Create middleware that reads a multipart/form-data upload into req.files
+ * Only parts with a filename are kept, as {filename, contentType, data}. Requests of another content type get an
+ * empty list. Oversized and malformed bodies are answered with 413 and 400 before the route runs.
+ * @param {number} maxBytes - Largest accepted file size in bytes
+ * @returns {Function} Express middleware
+ */
+function multipartUpload(maxBytes) {
+    const readBody = express.raw({ type: 'multipart/form-data', limit: maxBytes + MULTIPART_OVERHEAD_BYTES });
+    return (req, res, next) => {
+        readBody(req, res, (error) => {
+            if (error) {
+                const tooLarge = error.type === 'entity.too.large';
+                return res.status(error.status || 400).json({
+                    error: tooLarge ? `Upload exceeds the attachment size limit of ${maxBytes / 1024 / 1024} MB` : error.message
+                });
+            }
+            if (!Buffer.isBuffer(req.body)) {
+                req.files = [];
+                return next();
+            }
+            try {
+                req.files = parseMultipart(req.body, req.get('Content-Type'))
+                    .filter(part => part.filename !== undefined)
+                    .map(({ filename, contentType, data }) => ({ filename, contentType, data }));
+            } catch (parseError) {
+                return res.status(400).json({ error: `Malformed multipart body: ${parseError.message}` });
+            }
+            next();
+        });
+    };
+}
+
+module.exports = { parseMultipart, multipartUpload };
@@ -6,9 +6,14 @@
  */
 
 const axios = require('axios');
+const { spawn } = require('child_process');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 
+// Wrapper sources, for storage tests that run in-process against a temporary directory
+const APP_DIR = path.join(__dirname, 'mcp-memory-service', 'rootfs', 'app');
+
 class MCPMemoryServiceTester {
     constructor(baseUrl = 'http://localhost:8080') {
         this.baseUrl = baseUrl;
@@ -17,6 +22,43 @@ class MCPMemoryServiceTester {
         this.accessToken = null;
         this.testResults = [];
         this.testMemories = [];
+        // The add-on's api_key; admin endpoints are only tested when it is set
+        this.apiKey = process.env.API_KEY || null;
+    }
+
+    /**
+     * Headers authenticating as the OAuth client, or with the API key when no token was issued
+     * @returns {Object} Request headers
+     */
+    authHeaders() {
+        if (this.accessToken) {
+            return { 'Authorization': `Bearer ${this.accessToken}`, 'Content-Type': 'application/json' };
+        }
+        return this.apiKey
+            ? { 'X-API-Key': this.apiKey, 'Content-Type': 'application/json' }
+            : { 'Content-Type': 'application/json' };
+    }
+
+    /**
+     * Headers authenticating with the API key, which has admin access
+     * @returns {Object|null} Request headers, or null if API_KEY is not set
+     */
+    adminHeaders() {
+        return this.apiKey ? { 'X-API-Key': this.apiKey, 'Content-Type': 'application/json' } : null;
+    }
+
+    /**
+     * Run a function with a temporary data directory that is removed afterwards
+     * @param {Function} fn - Called with the directory path
+     * @returns {Promise<*>} What fn returns
+     */
+    async withDataDir(fn) {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-memory-test-'));
+        try {
+            return await fn(dir);
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
     }
 
     /**
@@ -344,6 +386,1181 @@ class MCPMemoryServiceTester {
         }
     }
 
+    /**
+     * Store a memory for a feature test and remember it for cleanup
+     * @param {Object} data - Request body for /memory/store
+     * @param {Object} [headers] - Request headers, the test's authentication by default
+     * @returns {Promise<Object>} The makeRequest result
+     */
+    async storeTestMemory(data, headers = this.authHeaders()) {
+        const result = await this.makeRequest('POST', '/memory/store', { headers, data });
+        if (result.success) {
+            this.testMemories.push(result.data.memory);
+        }
+        return result;
+    }
+
+    /**
+     * Run a function with a memory service storing memories in a temporary directory
+     * @param {Function} fn - Called with the started MCPMemoryService
+     * @param {Object} [options={}] - Service options
+     * @param {string} [options.backend='json_file'] - MCP_MEMORY_STORAGE_BACKEND of the service
+     * @param {string} [options.serviceUrl] - URL of the MCP Memory Service for backends it provides
+     * @returns {Promise<*>} What fn returns
+     */
+    async withMemoryService(fn, { backend = 'json_file', ...options } = {}) {
+        const { MCPMemoryService } = require(path.join(APP_DIR, 'memory-service'));
+        return this.withDataDir(async (dataDir) => {
+            const configured = process.env.MCP_MEMORY_STORAGE_BACKEND;
+            process.env.MCP_MEMORY_STORAGE_BACKEND = backend;
+            const service = new MCPMemoryService({ ...options, dataDir });
+            if (configured === undefined) {
+                delete process.env.MCP_MEMORY_STORAGE_BACKEND;
+            } else {
+                process.env.MCP_MEMORY_STORAGE_BACKEND = configured;
+            }
+            await service.start();
+            try {
+                return await fn(service);
+            } finally {
+                await service.stop();
+            }
+        });
+    }
+
+    /**
+     * Run a function with the fake MCP Memory Service of test-mcp-service.js listening on a free port
+     * @param {Function} fn - Called with the URL of the service
+     * @returns {Promise<*>} What fn returns
+     */
+    async withFakeMcpService(fn) {
+        const child = spawn(process.execPath, [path.join(__dirname, 'test-mcp-service.js')], {
+            env: { ...process.env, PORT: '0' },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+        try {
+            const port = await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error('Fake MCP Memory Service did not start')), 10000);
+                let output = '';
+                child.stdout.on('data', (data) => {
+                    output += data;
+                    const match = output.match(/running on port (\d+)/);
+                    if (match) {
+                        clearTimeout(timer);
+                        resolve(match[1]);
+                    }
+                });
+                child.on('exit', (code) => {
+                    clearTimeout(timer);
+                    reject(new Error(`Fake MCP Memory Service exited with code ${code}`));
+                });
+            });
+            return await fn(`http://127.0.0.1:${port}`);
+        } finally {
+            child.kill();
+        }
+    }
+
+    /**
+     * Test the storage backend interface: MCP_MEMORY_STORAGE_BACKEND names select a local backend, a backend module
+     * or the Python service, and each local backend implements the contract and keeps memories after reopening
+     */
+    async testStorageBackends() {
+        console.log('\n🔍 Testing Storage Backends...');
+
+        const { createBackend, registerBackend, JsonFileBackend, McpServiceBackend } = require(path.join(APP_DIR, 'backends'));
+        for (const name of ['json_file', 'sqlite']) {
+            try {
+                await this.withDataDir(async (dataDir) => {
+                    let backend = createBackend(name, { dataDir });
+                    await backend.open();
+                    const stored = await backend.store({ content: `${name} backend test`, metadata: {}, tags: ['test'] });
+                    await backend.update(stored.id, { content: `${name} backend test, updated` });
+                    await backend.close();
+
+                    backend = createBackend(name, { dataDir });
+                    await backend.open();
+                    const loaded = await backend.get(stored.id);
+                    const found = await backend.search({ query: 'updated', tags: [], limit: 10 });
+                    const listed = await backend.list({ limit: 10, offset: 0 });
+                    await backend.delete(stored.id);
+                    const deleted = await backend.get(stored.id);
+                    const stats = await backend.stats();
+                    await backend.close();
+
+                    const passed = loaded && loaded.content === `${name} backend test, updated` && found.length === 1 &&
+                        listed.total === 1 && deleted === null && stats.total_memories === 0;
+                    this.logResult(`Storage Backend (${name})`, Boolean(passed), passed ? 'Memory kept after reopening' :
+                        `Got ${JSON.stringify(loaded)}, ${found.length} found, ${listed.total} listed, ${stats.total_memories} left`);
+                });
+            } catch (error) {
+                this.logResult(`Storage Backend (${name})`, false, `Error: ${error.message}`);
+            }
+        }
+
+        try {
+            await this.withDataDir(async (dataDir) => {
+                const modulePath = path.join(dataDir, 'custom-backend.js');
+                await fs.writeFile(modulePath, [
+                    `const { MemoryBackend } = require(${JSON.stringify(path.join(APP_DIR, 'backends', 'memory-backend'))});`,
+                    'module.exports = class CustomBackend extends MemoryBackend {};'
+                ].join('\n'));
+                const custom = createBackend(modulePath, { dataDir });
+                const unimplemented = await custom.store({ content: 'custom', metadata: {}, tags: [] }).catch(error => error);
+                const python = createBackend('sqlite_vec', { dataDir });
+                const invalid = (() => {
+                    try {
+                        registerBackend('invalid', class {});
+                    } catch (error) {
+                        return error;
+                    }
+                })();
+
+                const passed = createBackend('json_file', { dataDir }) instanceof JsonFileBackend && custom.name === 'CustomBackend' &&
+                    unimplemented.status === 501 && python instanceof McpServiceBackend && python.name === 'sqlite_vec' && invalid instanceof Error;
+                this.logResult('Storage Backend Selection', passed,
+                    `Module backend: ${custom.name}, unimplemented store: ${unimplemented.status}, sqlite_vec: ${python.constructor.name}`);
+            });
+        } catch (error) {
+            this.logResult('Storage Backend Selection', false, `Error: ${error.message}`);
+        }
+
+        const statsResult = await this.makeRequest('GET', '/memory/stats', { headers: this.authHeaders() });
+        if (statsResult.success && statsResult.data.backend) {
+            this.logResult('Storage Backend (service)', true, `Backend: ${statsResult.data.backend}`);
+        } else {
+            this.logResult('Storage Backend (service)', false, `Error: ${statsResult.details || statsResult.error}`);
+        }
+
+        const infoResult = await this.makeRequest('GET', '/info', { headers: this.authHeaders() });
+        const capabilities = infoResult.success && infoResult.data.capabilities;
+        // Every operation is available when the add-on stores memories, none of the extra ones with the Python service
+        const local = statsResult.success && statsResult.data.mode === 'fallback';
+        this.logResult('Storage Backend Capabilities', Boolean(capabilities) && Object.values(capabilities).every(value => value === local),
+            capabilities ? `Capabilities: ${Object.keys(capabilities).filter(name => capabilities[name]).join(', ')}` :
+                `Error: ${infoResult.details || 'no capabilities reported'}`);
+    }
+
+    /**
+     * Test the bridge to the Python MCP Memory Service against the fake service of test-mcp-service.js:
+     * memories are stored, found and deleted through it, duplicates it refuses are a 409, and structured
+     * queries are applied to its results
+     */
+    async testMcpServiceBackend() {
+        console.log('\n🔍 Testing MCP Service Backend...');
+
+        try {
+            await this.withFakeMcpService(serviceUrl => this.withMemoryService(async (service) => {
+                const content = `MCP service bridge test ${Date.now()}`;
+                const { memory } = await service.storeMemory(content, { source: 'test' }, ['bridge']);
+                const found = await service.searchMemories('bridge test', [], 10);
+                const duplicate = await service.storeMemory(content).then(() => null, error => error);
+                await service.deleteMemory(memory.id);
+                const deleted = await service.backend.get(memory.id);
+
+                const passed = !service.fallbackMode && found.some(match => match.id === memory.id) &&
+                    duplicate && duplicate.status === 409 && deleted === null;
+                this.logResult('MCP Service Backend', passed, passed ? `Proxied to ${serviceUrl}` :
+                    `Fallback: ${service.fallbackMode}, found: ${found.length}, duplicate status: ${duplicate && duplicate.status}, ` +
+                    `deleted: ${deleted === null}`);
+
+                const booked = await service.storeMemory(`Boiler service booked ${Date.now()}`, {}, ['bridge', 'home']);
+                const manual = await service.storeMemory(`Boiler manual ${Date.now()}`, {}, ['bridge']);
+                const ids = async query => (await service.searchMemories(query, [], 10)).map(match => match.id);
+                const phrase = await ids('"boiler service" tag:home');
+                const excluded = await ids('boiler -manual');
+                const tagOnly = await ids('tag:home');
+                const structured = [phrase, excluded, tagOnly].every(found =>
+                    found.includes(booked.memory.id) && !found.includes(manual.memory.id));
+                this.logResult('MCP Service Structured Query', structured && service.capabilities.structured_queries,
+                    `Phrase and tag: ${phrase.length}, excluded word: ${excluded.length}, tag only: ${tagOnly.length}`);
+            }, { backend: 'sqlite_vec', serviceUrl }));
+        } catch (error) {
+            this.logResult('MCP Service Backend', false, `Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test crash-safe persistence: a damaged memories.json is moved aside and the last-good copy is loaded
+     */
+    async testAtomicPersistence() {
+        console.log('\n🔍 Testing Atomic Persistence...');
+
+        const { JsonFileBackend } = require(path.join(APP_DIR, 'backends'));
+        try {
+            await this.withDataDir(async (dataDir) => {
+                let backend = new JsonFileBackend({ dataDir });
+                await backend.open();
+                await backend.store({ content: 'kept in the backup', metadata: {}, tags: [] });
+                await backend.compact();
+                await backend.store({ content: 'only in the damaged file', metadata: {}, tags: [] });
+                await backend.compact();
+                await backend.close();
+
+                // Simulate a torn write of the snapshot
+                await fs.writeFile(path.join(dataDir, 'memories.json'), '{"version": 3, "memo');
+                backend = new JsonFileBackend({ dataDir });
+                await backend.open();
+                const { total } = await backend.list({ limit: 10, offset: 0 });
+                await backend.close();
+
+                const files = await fs.readdir(dataDir);
+                const movedAside = files.some(file => file.startsWith('memories.json.corrupt-'));
+                const leftovers = files.filter(file => file.endsWith('.tmp'));
+                const passed = total === 1 && movedAside && leftovers.length === 0;
+                this.logResult('Atomic Persistence', passed, passed
+                    ? 'Damaged file moved aside and backup restored'
+                    : `${total} memories, moved aside: ${movedAside}, temporary files: ${leftovers.join(', ') || 'none'}`);
+            });
+        } catch (error) {
+            this.logResult('Atomic Persistence', false, `Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test the journal: changes are replayed at startup, a torn last entry is ignored,
+     * and a store whose journal entry cannot be written is rolled back
+     */
+    async testJournal() {
+        console.log('\n🔍 Testing Journal...');
+
+        const { JsonFileBackend } = require(path.join(APP_DIR, 'backends'));
+        try {
+            await this.withDataDir(async (dataDir) => {
+                let backend = new JsonFileBackend({ dataDir });
+                await backend.open();
+                const kept = await backend.store({ content: 'journaled memory', metadata: {}, tags: [] });
+                const removed = await backend.store({ content: 'deleted memory', metadata: {}, tags: [] });
+                await backend.update(kept.id, { content: 'journaled memory, updated' });
+                await backend.delete(removed.id);
+                await backend.close();
+
+                const journalFile = path.join(dataDir, 'memories.journal');
+                const entries = (await fs.readFile(journalFile, 'utf8')).split('\n').filter(Boolean).length;
+                await fs.appendFile(journalFile, '{"op": "store", "memo');
+                backend = new JsonFileBackend({ dataDir });
+                await backend.open();
+                const { memories } = await backend.list({ limit: 10, offset: 0 });
+                const passed = entries === 4 && memories.length === 1 && memories[0].content === 'journaled memory, updated';
+                this.logResult('Journal Replay', passed, passed
+                    ? 'Changes replayed and torn entry ignored'
+                    : `${entries} journal entries, replayed ${JSON.stringify(memories.map(memory => memory.content))}`);
+
+                // A closed journal makes the next append fail
+                await backend.journalHandle.close();
+                let rejected = false;
+                try {
+                    await backend.store({ content: 'never written', metadata: {}, tags: [] });
+                } catch (error) {
+                    rejected = true;
+                }
+                const { total } = await backend.list({ limit: 10, offset: 0 });
+                backend.journalHandle = null;
+                await backend.close();
+                this.logResult('Journal Store Rollback', rejected && total === 1, rejected && total === 1
+                    ? 'Failed store rejected and not kept'
+                    : `Rejected: ${rejected}, ${total} memories`);
+            });
+        } catch (error) {
+            this.logResult('Journal', false, `Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test memory IDs: new IDs are unique, ordered ULIDs, and legacy duplicate IDs are rewritten at startup
+     */
+    async testMemoryIds() {
+        console.log('\n🔍 Testing Memory IDs...');
+
+        const ids = [];
+        for (const n of [1, 2, 3, 4, 5]) {
+            const storeResult = await this.storeTestMemory({ content: `ID test memory ${n}`, tags: ['id_test'] });
+            if (!storeResult.success) {
+                this.logResult('Memory IDs', false, `Error: ${storeResult.details || storeResult.error}`);
+                break;
+            }
+            ids.push(storeResult.data.memory_id);
+        }
+        if (ids.length === 5) {
+            const wellFormed = ids.every(id => /^[0-9A-HJKMNP-TV-Z]{26}$/.test(id));
+            const ordered = ids.every((id, i) => i === 0 || id > ids[i - 1]);
+            this.logResult('Memory IDs', wellFormed && ordered, `${new Set(ids).size} unique IDs, ordered: ${ordered}`);
+        }
+
+        const { JsonFileBackend } = require(path.join(APP_DIR, 'backends'));
+        try {
+            await this.withDataDir(async (dataDir) => {
+                // Memories stored in the same millisecond by versions using Date.now() as ID
+                const legacy = ['first', 'second'].map(content => ({
+                    id: '1727431200000', content, metadata: {}, tags: [], created_at: '2024-09-27T10:00:00.000Z'
+                }));
+                await fs.writeFile(path.join(dataDir, 'memories.json'), JSON.stringify(legacy));
+                const backend = new JsonFileBackend({ dataDir });
+                await backend.open();
+                const { memories } = await backend.list({ limit: 10, offset: 0 });
+                await backend.close();
+
+                const ids = memories.map(memory => memory.id);
+                const passed = new Set(ids).size === 2 && ids.includes('1727431200000') &&
+                    memories.some(memory => memory.legacy_id === '1727431200000');
+                this.logResult('Legacy ID Migration', passed, `IDs: ${ids.join(', ')}`);
+            });
+        } catch (error) {
+            this.logResult('Legacy ID Migration', false, `Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test storage schema migrations: old files are upgraded step by step with a backup per step,
+     * and files from a newer version are refused
+     */
+    async testSchemaMigration() {
+        console.log('\n🔍 Testing Schema Migration...');
+
+        const { CURRENT_VERSION, StorageVersionError, migrateStorageFile } = require(path.join(APP_DIR, 'backends', 'storage-schema'));
+        try {
+            await this.withDataDir(async (dataDir) => {
+                const file = path.join(dataDir, 'memories.json');
+                await fs.writeFile(file, JSON.stringify([{ id: '1', content: 'unversioned memory', metadata: {}, tags: [] }]));
+                const steps = await migrateStorageFile(file);
+                const document = JSON.parse(await fs.readFile(file, 'utf8'));
+                const backups = (await fs.readdir(dataDir)).filter(name => /^memories\.json\.v\d+\.bak$/.test(name));
+                const passed = steps === CURRENT_VERSION && document.version === CURRENT_VERSION &&
+                    backups.length === steps && document.memories.length === 1;
+                this.logResult('Schema Migration', passed, `${steps} steps to v${document.version}, ${backups.length} backups`);
+
+                await fs.writeFile(file, JSON.stringify({ version: CURRENT_VERSION + 1, memories: [] }));
+                try {
+                    await migrateStorageFile(file);
+                    this.logResult('Schema Version Check', false, 'File from a newer version was accepted');
+                } catch (error) {
+                    this.logResult('Schema Version Check', error instanceof StorageVersionError, error.message);
+                }
+            });
+        } catch (error) {
+            this.logResult('Schema Migration', false, `Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test coalesced writes: with batched durability, concurrent stores are confirmed before they are written
+     * and all of them are on disk once the backend is closed
+     */
+    async testWriteCoalescing() {
+        console.log('\n🔍 Testing Write Coalescing...');
+
+        const { JsonFileBackend } = require(path.join(APP_DIR, 'backends'));
+        try {
+            await this.withDataDir(async (dataDir) => {
+                let backend = new JsonFileBackend({ dataDir, durability: 'batched' });
+                await backend.open();
+                await Promise.all(Array.from({ length: 20 }, (_, n) =>
+                    backend.store({ content: `coalesced memory ${n}`, metadata: {}, tags: [] })));
+                await backend.close();
+
+                backend = new JsonFileBackend({ dataDir });
+                await backend.open();
+                const { total } = await backend.list({ limit: 1, offset: 0 });
+                await backend.close();
+                this.logResult('Write Coalescing', total === 20, `${total} of 20 memories written on close`);
+            });
+        } catch (error) {
+            this.logResult('Write Coalescing', false, `Error: ${error.message}`);
+        }
+
+        try {
+            await this.withDataDir(async (dataDir) => {
+                let backend = new JsonFileBackend({ dataDir });
+                await backend.open();
+                // The store's entry is still pending when compaction starts, and writing it fails
+                backend.journalHandle.appendFile = async () => {
+                    throw new Error('disk full');
+                };
+                const stored = backend.store({ content: 'rolled back memory', metadata: {}, tags: [] }).then(() => true, () => false);
+                const compacted = await backend.compact(true).then(() => true, () => false);
+                const kept = await stored;
+                delete backend.journalHandle.appendFile;
+                await backend.close();
+
+                backend = new JsonFileBackend({ dataDir });
+                await backend.open();
+                const { total } = await backend.list({ limit: 1, offset: 0 });
+                await backend.close();
+                const passed = !kept && !compacted && total === 0;
+                this.logResult('Compaction After Failed Flush', passed, passed ? 'Rolled back memory not in the snapshot' :
+                    `Store kept: ${kept}, compacted: ${compacted}, ${total} memories after reopening`);
+            });
+        } catch (error) {
+            this.logResult('Compaction After Failed Flush', false, `Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test encryption at rest: no stored file contains the content, the wrong key is refused,
+     * key rotation re-encrypts everything including migration backups, and sqlite refuses a key
+     */
+    async testEncryption() {
+        console.log('\n🔍 Testing Encryption at Rest...');
+
+        const { JsonFileBackend, SqliteBackend } = require(path.join(APP_DIR, 'backends'));
+        const { StorageCipher, EncryptionKeyError } = require(path.join(APP_DIR, 'backends', 'storage-cipher'));
+        const { migrateStorageFile } = require(path.join(APP_DIR, 'backends', 'storage-schema'));
+        const secret = 'the safe code is 4711';
+        const readAll = async (dataDir) => {
+            const names = await fs.readdir(dataDir);
+            return (await Promise.all(names.map(name => fs.readFile(path.join(dataDir, name), 'utf8').catch(() => '')))).join('\n');
+        };
+        const open = async (dataDir, key, previousKey) => {
+            const backend = new JsonFileBackend({ dataDir, cipher: new StorageCipher(key, previousKey) });
+            await backend.open();
+            return backend;
+        };
+
+        try {
+            await this.withDataDir(async (dataDir) => {
+                await fs.writeFile(path.join(dataDir, 'memories.json'), JSON.stringify([{ id: '1', content: secret, metadata: {}, tags: [] }]));
+                await migrateStorageFile(path.join(dataDir, 'memories.json'), { cipher: new StorageCipher('key-one') });
+                let backend = await open(dataDir, 'key-one');
+                await backend.store({ content: `${secret}, again`, metadata: {}, tags: [] });
+                await backend.close();
+                this.logResult('Encryption at Rest', !(await readAll(dataDir)).includes(secret), 'Stored files checked for the content');
+
+                try {
+                    backend = await open(dataDir, 'wrong-key');
+                    await backend.close();
+                    this.logResult('Encryption Wrong Key', false, 'Opened with the wrong key');
+                } catch (error) {
+                    this.logResult('Encryption Wrong Key', error instanceof EncryptionKeyError, error.message);
+                }
+
+                backend = await open(dataDir, 'key-two', 'key-one');
+                await backend.close();
+                backend = await open(dataDir, 'key-two');
+                const { total } = await backend.list({ limit: 10, offset: 0 });
+                await backend.close();
+                // Every copy, including the migration backups, must now be readable with the new key alone
+                const newKeyOnly = new StorageCipher('key-two');
+                const copies = (await fs.readdir(dataDir)).filter(name => /^memories\.json(\.|$)/.test(name));
+                const readable = await Promise.all(copies.map(async name => {
+                    try {
+                        return newKeyOnly.decode(await fs.readFile(path.join(dataDir, name), 'utf8')) !== null;
+                    } catch (error) {
+                        return false;
+                    }
+                }));
+                const rotated = total === 2 && readable.every(Boolean) && !newKeyOnly.stale;
+                this.logResult('Encryption Key Rotation', rotated, `${total} memories, ${readable.filter(Boolean).length} of ${copies.length} files under the new key`);
+            });
+
+            await this.withDataDir(async (dataDir) => {
+                const backend = new SqliteBackend({ dataDir, cipher: new StorageCipher('key-one') });
+                try {
+                    await backend.open();
+                    await backend.close();
+                    this.logResult('Encryption with sqlite', false, 'sqlite opened with a key set');
+                } catch (error) {
+                    this.logResult('Encryption with sqlite', true, 'Refused with a key set');
+                }
+            });
+        } catch (error) {
+            this.logResult('Encryption at Rest', false, `Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test snapshots: the endpoints need admin access, a restore brings back the memories of the snapshot after
+     * saving the current ones, and it records revisions, removes links and attachments of memories it drops and
+     * brings back deleted namespaces
+     */
+    async testSnapshots() {
+        console.log('\n🔍 Testing Snapshots...');
+
+        if (this.accessToken) {
+            const denied = await this.makeRequest('GET', '/admin/snapshots', { headers: this.authHeaders() });
+            this.logResult('Snapshots Admin Only', denied.status === 403, `Status without admin scope: ${denied.status}`);
+        }
+        const adminHeaders = this.adminHeaders();
+        if (adminHeaders) {
+            const listResult = await this.makeRequest('GET', '/admin/snapshots', { headers: adminHeaders });
+            this.logResult('List Snapshots', listResult.success && Array.isArray(listResult.data.snapshots),
+                listResult.success ? `${listResult.data.total} snapshots` : `Error: ${listResult.details || listResult.error}`);
+            const missing = await this.makeRequest('POST', '/admin/snapshots/hourly-20000101T000000Z/restore', { headers: adminHeaders });
+            this.logResult('Restore Missing Snapshot', missing.status === 404, `Status: ${missing.status}`);
+        } else {
+            console.log('Skipping admin snapshot requests; set API_KEY to the add-on\'s api_key to run them');
+        }
+
+        try {
+            await this.withMemoryService(async (service) => {
+                const kept = await service.backend.store({ content: 'kept in the snapshot', metadata: {}, tags: [] });
+                const snapshot = await service.snapshots.create('daily', await service.backend.exportAll());
+                await service.backend.delete(kept.id);
+                await service.backend.store({ content: 'stored after the snapshot', metadata: {}, tags: [] });
+
+                const result = await service.restoreSnapshot(snapshot.id);
+                const ids = (await service.backend.exportAll()).map(memory => memory.id);
+                const snapshots = (await service.listSnapshots()).map(listed => listed.id);
+                this.logResult('Restore Snapshot', ids.length === 1 && ids[0] === kept.id && snapshots.includes(result.backup),
+                    `Memories after restore: ${ids.length}, pre-restore snapshot: ${result.backup}`);
+
+                // A second restore right away must not replace the first pre-restore snapshot
+                const again = await service.restoreSnapshot(snapshot.id);
+                const backups = (await service.listSnapshots()).filter(listed => listed.kind === 'pre-restore').map(listed => listed.id);
+                const first = (await service.snapshots.read(result.backup)).map(memory => memory.content);
+                const passed = again.backup !== result.backup && backups.includes(result.backup) && backups.includes(again.backup) &&
+                    first.includes('stored after the snapshot');
+                this.logResult('Back-to-Back Restores', passed, `Pre-restore snapshots: ${backups.join(', ')}`);
+            });
+        } catch (error) {
+            this.logResult('Restore Snapshot', false, `Error: ${error.message}`);
+        }
+
+        try {
+            await this.withMemoryService(async (service) => {
+                await service.createNamespace('kitchen');
+                const { memory: fridge } = await service.storeMemory('the fridge is cold', {}, [], { namespace: 'kitchen' });
+                const snapshot = await service.snapshots.create('daily', await service.backend.exportAll());
+
+                await service.deleteMemory(fridge.id, { hard: true, context: { namespace: 'kitchen' } });
+                await service.deleteNamespace('kitchen');
+                const { memory: note } = await service.storeMemory('stored after the snapshot');
+                const { memory: other } = await service.storeMemory('linked from the note');
+                await service.linkMemories(note.id, { type: 'related_to', target: other.id });
+                await service.addAttachments(note.id, [{ filename: 'note.txt', contentType: 'text/plain', data: Buffer.from('note') }]);
+
+                await service.restoreSnapshot(snapshot.id);
+                const restored = await service.getMemory(fridge.id, { context: { namespace: 'kitchen' } });
+                const revisions = service.revisions.list(fridge.id).map(revision => revision.op);
+                const dangling = service.links.list(other.id).length + service.attachments.list(note.id).length;
+                const passed = restored.content === 'the fridge is cold' && revisions[revisions.length - 1] === 'restore' &&
+                    service.namespaces.has('kitchen') && dangling === 0;
+                this.logResult('Restore Snapshot Reconciliation', passed,
+                    `Revisions: ${revisions.join(', ')}, namespace: ${service.namespaces.has('kitchen')}, dangling links and attachments: ${dangling}`);
+            });
+        } catch (error) {
+            this.logResult('Restore Snapshot Reconciliation', false, `Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test fetching a single memory, whole or limited to some fields
+     */
+    async testGetMemory() {
+        console.log('\n🔍 Testing Get Memory...');
+
+        const storeResult = await this.storeTestMemory({
+            content: 'Get test memory - the spare key is under the mat',
+            metadata: { source: 'get_test' },
+            tags: ['get_test']
+        });
+        if (!storeResult.success) {
+            this.logResult('Get Memory', false, `Error: ${storeResult.details || storeResult.error}`);
+            return;
+        }
+        const id = storeResult.data.memory_id;
+
+        const getResult = await this.makeRequest('GET', `/memory/${id}`, { headers: this.authHeaders() });
+        this.logResult('Get Memory', getResult.success && getResult.data.memory.content === storeResult.data.memory.content &&
+            getResult.data.memory.metadata.source === 'get_test',
+            getResult.success ? `Memory ID: ${getResult.data.memory.id}` : `Error: ${getResult.details || getResult.error}`);
+
+        const fieldsResult = await this.makeRequest('GET', `/memory/${id}?fields=content`, { headers: this.authHeaders() });
+        const fields = fieldsResult.success ? Object.keys(fieldsResult.data.memory).sort().join(', ') : '';
+        this.logResult('Get Memory Fields', fields === 'content, id', `Fields: ${fields || fieldsResult.details}`);
+
+        const unknownField = await this.makeRequest('GET', `/memory/${id}?fields=secret`, { headers: this.authHeaders() });
+        this.logResult('Get Memory Unknown Field', unknownField.status === 400, `Status: ${unknownField.status}`);
+
+        const missing = await this.makeRequest('GET', '/memory/01ARZ3NDEKTSV4RRFFQ69G5FAV', { headers: this.authHeaders() });
+        this.logResult('Get Missing Memory', missing.status === 404, `Status: ${missing.status}`);
+    }
+
+    /**
+     * Test updating memories in place: PUT replaces the editable fields, PATCH merges into them
+     */
+    async testUpdateMemory() {
+        console.log('\n🔍 Testing Update Memory...');
+
+        const storeResult = await this.storeTestMemory({
+            content: 'Update test memory - the car is parked on level 2',
+            metadata: { source: 'update_test', level: 2 },
+            tags: ['update_test']
+        });
+        if (!storeResult.success) {
+            this.logResult('Replace Memory', false, `Error: ${storeResult.details || storeResult.error}`);
+            return;
+        }
+        const id = storeResult.data.memory_id;
+
+        const putResult = await this.makeRequest('PUT', `/memory/${id}`, {
+            headers: this.authHeaders(),
+            data: { content: 'Update test memory - the car is parked on level 3', metadata: { level: 3 }, tags: ['update_test', 'car'] }
+        });
+        const replaced = putResult.success && putResult.data.memory;
+        this.logResult('Replace Memory', replaced && replaced.id === id && replaced.metadata.level === 3 &&
+            replaced.metadata.source === undefined && replaced.tags.includes('car'),
+            replaced ? `Content: ${replaced.content}` : `Error: ${putResult.details || putResult.error}`);
+
+        const patchResult = await this.makeRequest('PATCH', `/memory/${id}`, {
+            headers: this.authHeaders(),
+            data: { metadata: { level: null, spot: 'B12' } }
+        });
+        const patched = patchResult.success && patchResult.data.memory;
+        this.logResult('Patch Memory', patched && patched.metadata.spot === 'B12' && !('level' in patched.metadata) &&
+            patched.content === replaced.content,
+            patched ? `Metadata: ${JSON.stringify(patched.metadata)}` : `Error: ${patchResult.details || patchResult.error}`);
+
+        const readOnly = await this.makeRequest('PATCH', `/memory/${id}`, { headers: this.authHeaders(), data: { id: 'other' } });
+        this.logResult('Patch Read-Only Field', readOnly.status === 400, `Status: ${readOnly.status}`);
+
+        const missing = await this.makeRequest('PUT', '/memory/01ARZ3NDEKTSV4RRFFQ69G5FAV', {
+            headers: this.authHeaders(),
+            data: { content: 'nothing to replace' }
+        });
+        this.logResult('Replace Missing Memory', missing.status === 404, `Status: ${missing.status}`);
+    }
+
+    /**
+     * Test revision history: every change is recorded and a memory can be reverted to an earlier revision
+     */
+    async testRevisions() {
+        console.log('\n🔍 Testing Revisions...');
+
+        const original = 'Revision test memory - the wifi password is on the fridge';
+        const storeResult = await this.storeTestMemory({ content: original, tags: ['revision_test'], importance: 0.9, pinned: true });
+        if (!storeResult.success) {
+            this.logResult('Revision History', false, `Error: ${storeResult.details || storeResult.error}`);
+            return;
+        }
+        const id = storeResult.data.memory_id;
+        await this.makeRequest('PATCH', `/memory/${id}`, {
+            headers: this.authHeaders(),
+            data: { content: 'Revision test memory - the wifi password is in the drawer', importance: 0.2, pinned: null }
+        });
+
+        const historyResult = await this.makeRequest('GET', `/memory/${id}/revisions`, { headers: this.authHeaders() });
+        const ops = historyResult.success ? historyResult.data.revisions.map(revision => revision.op) : [];
+        this.logResult('Revision History', ops.join(', ') === 'store, update',
+            historyResult.success ? `Revisions: ${ops.join(', ')}` : `Error: ${historyResult.details || historyResult.error}`);
+
+        const first = historyResult.success ? historyResult.data.revisions[0].rev : 1;
+        const revertResult = await this.makeRequest('POST', `/memory/${id}/revert/${first}`, { headers: this.authHeaders() });
+        const afterRevert = await this.makeRequest('GET', `/memory/${id}/revisions`, { headers: this.authHeaders() });
+        const last = afterRevert.success ? afterRevert.data.revisions[afterRevert.data.total - 1] : null;
+        const reverted = revertResult.success ? revertResult.data.memory : {};
+        this.logResult('Revert Memory', reverted.content === original && reverted.importance === 0.9 && reverted.pinned === true &&
+            last && last.op === 'revert',
+            revertResult.success ? `Latest revision: ${last && last.op}, importance: ${reverted.importance}, pinned: ${reverted.pinned}` :
+                `Error: ${revertResult.details || revertResult.error}`);
+
+        const missing = await this.makeRequest('POST', `/memory/${id}/revert/999`, { headers: this.authHeaders() });
+        this.logResult('Revert Missing Revision', missing.status === 404, `Status: ${missing.status}`);
+    }
+
+    /**
+     * Test the trash: deleting moves a memory to the trash, where it can be restored,
+     * hard deletes bypass it and old trash is purged
+     */
+    async testTrash() {
+        console.log('\n🔍 Testing Trash...');
+
+        const storeResult = await this.storeTestMemory({ content: 'Trash test memory - the bins go out on Tuesday', tags: ['trash_test'] });
+        if (!storeResult.success) {
+            this.logResult('Trash Memory', false, `Error: ${storeResult.details || storeResult.error}`);
+            return;
+        }
+        const id = storeResult.data.memory_id;
+        const headers = this.authHeaders();
+
+        await this.makeRequest('DELETE', `/memory/${id}`, { headers });
+        const hidden = await this.makeRequest('GET', `/memory/${id}`, { headers });
+        const trashResult = await this.makeRequest('GET', '/memory/trash?limit=100', { headers });
+        const inTrash = trashResult.success && trashResult.data.memories.some(memory => memory.id === id);
+        this.logResult('Trash Memory', hidden.status === 404 && inTrash, `Status after delete: ${hidden.status}, in trash: ${inTrash}`);
+
+        const restoreResult = await this.makeRequest('POST', `/memory/${id}/restore`, { headers });
+        const restored = await this.makeRequest('GET', `/memory/${id}`, { headers });
+        this.logResult('Restore Memory', restoreResult.success && restored.success,
+            restoreResult.success ? `Status after restore: ${restored.status}` : `Error: ${restoreResult.details || restoreResult.error}`);
+
+        await this.makeRequest('DELETE', `/memory/${id}?hard=true`, { headers });
+        const gone = await this.makeRequest('POST', `/memory/${id}/restore`, { headers });
+        this.logResult('Hard Delete Memory', gone.status === 404, `Restore status after hard delete: ${gone.status}`);
+
+        const { JsonFileBackend } = require(path.join(APP_DIR, 'backends'));
+        try {
+            await this.withDataDir(async (dataDir) => {
+                const backend = new JsonFileBackend({ dataDir });
+                await backend.open();
+                const kept = await backend.store({ content: 'kept', metadata: {}, tags: [] });
+                const trashed = await backend.store({ content: 'trashed', metadata: {}, tags: [] });
+                await backend.trash(trashed.id);
+                const purged = await backend.purgeTrash(new Date(Date.now() + 1000).toISOString());
+                const remaining = (await backend.exportAll()).map(memory => memory.id);
+                await backend.close();
+
+                this.logResult('Purge Trash', purged.length === 1 && purged[0] === trashed.id &&
+                    remaining.length === 1 && remaining[0] === kept.id, `Purged: ${purged.length}, remaining: ${remaining.length}`);
+            });
+        } catch (error) {
+            this.logResult('Purge Trash', false, `Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test batch storing: valid items are stored even when others in the batch are rejected
+     */
+    async testBatchStore() {
+        console.log('\n🔍 Testing Batch Store...');
+
+        const batchResult = await this.makeRequest('POST', '/memory/batch', {
+            headers: this.authHeaders(),
+            data: {
+                items: [
+                    { content: 'Batch test memory - the plants need water on Sunday', tags: ['batch_test'] },
+                    { content: '', tags: ['batch_test'] },
+                    { content: 'Batch test memory - the boiler is serviced in March', tags: ['batch_test'] }
+                ]
+            }
+        });
+        if (!batchResult.success) {
+            this.logResult('Batch Store', false, `Error: ${batchResult.details || batchResult.error}`);
+            return;
+        }
+        const { stored, failed, results } = batchResult.data;
+        results.filter(result => result.success).forEach(result => this.testMemories.push({ id: result.memory_id }));
+        this.logResult('Batch Store', stored === 2 && failed === 1 && results[1].status === 400 && !batchResult.data.success,
+            `Stored: ${stored}, failed: ${failed}`);
+
+        const invalid = await this.makeRequest('POST', '/memory/batch', { headers: this.authHeaders(), data: { items: 'not a list' } });
+        this.logResult('Batch Store Invalid Body', invalid.status === 400, `Status: ${invalid.status}`);
+    }
+
+    /**
+     * Test bulk operations: a dry run previews the matching memories, and its token runs the operation once
+     */
+    async testBulkOperations() {
+        console.log('\n🔍 Testing Bulk Operations...');
+
+        const tag = `bulk_test_${Date.now()}`;
+        const headers = this.authHeaders();
+        const ids = [];
+        for (const content of ['Bulk test memory - the gate code is 4821', 'Bulk test memory - the alarm code is 9034']) {
+            const storeResult = await this.storeTestMemory({ content, tags: [tag] });
+            if (storeResult.success) {
+                ids.push(storeResult.data.memory_id);
+            }
+        }
+
+        const dryRun = await this.makeRequest('POST', '/memory/bulk', {
+            headers,
+            data: { filter: { tags: [tag] }, action: 'add_tags', tags: ['bulk_retagged'] }
+        });
+        this.logResult('Bulk Dry Run', dryRun.success && dryRun.data.dry_run && dryRun.data.matched === 2 && !!dryRun.data.confirm,
+            dryRun.success ? `Matched: ${dryRun.data.matched}` : `Error: ${dryRun.details || dryRun.error}`);
+        if (!dryRun.success) {
+            return;
+        }
+
+        const confirmed = await this.makeRequest('POST', '/memory/bulk', { headers, data: { confirm: dryRun.data.confirm } });
+        const retagged = await Promise.all(ids.map(id => this.makeRequest('GET', `/memory/${id}`, { headers })));
+        this.logResult('Bulk Retag', confirmed.success && confirmed.data.affected === 2 &&
+            retagged.every(result => result.success && result.data.memory.tags.includes('bulk_retagged')),
+            confirmed.success ? `Affected: ${confirmed.data.affected}` : `Error: ${confirmed.details || confirmed.error}`);
+
+        const reused = await this.makeRequest('POST', '/memory/bulk', { headers, data: { confirm: dryRun.data.confirm } });
+        this.logResult('Bulk Token Reuse', reused.status === 400, `Status: ${reused.status}`);
+
+        const deletePreview = await this.makeRequest('POST', '/memory/bulk', { headers, data: { filter: { tags: [tag] }, action: 'delete' } });
+        const deleted = deletePreview.success
+            ? await this.makeRequest('POST', '/memory/bulk', { headers, data: { confirm: deletePreview.data.confirm } })
+            : deletePreview;
+        const remaining = await Promise.all(ids.map(id => this.makeRequest('GET', `/memory/${id}`, { headers })));
+        this.logResult('Bulk Delete', deleted.success && deleted.data.affected === 2 && remaining.every(result => result.status === 404),
+            deleted.success ? `Affected: ${deleted.data.affected}` : `Error: ${deleted.details || deleted.error}`);
+    }
+
+    /**
+     * Test deduplication: storing content that only differs in whitespace or case returns the existing memory,
+     * and the admin dedupe endpoint collapses duplicates stored before detection existed
+     */
+    async testDeduplication() {
+        console.log('\n🔍 Testing Deduplication...');
+
+        const content = `Dedupe test memory ${Date.now()} - the dentist appointment is on Friday`;
+        const first = await this.storeTestMemory({ content, tags: ['dedupe_test'] });
+        const second = await this.storeTestMemory({ content: `  ${content.toUpperCase()}  `, tags: ['dedupe_test'] });
+        this.logResult('Duplicate Store', first.success && second.success && second.data.duplicate === true &&
+            second.data.memory_id === first.data.memory_id,
+            second.success ? `Duplicate: ${second.data.duplicate}, same ID: ${second.data.memory_id === first.data.memory_id}` :
+                `Error: ${second.details || second.error}`);
+
+        if (this.accessToken) {
+            const denied = await this.makeRequest('POST', '/admin/dedupe?dry_run=true', { headers: this.authHeaders() });
+            this.logResult('Dedupe Admin Only', denied.status === 403, `Status without admin scope: ${denied.status}`);
+        }
+
+        try {
+            await this.withMemoryService(async (service) => {
+                // Stored through the backend, as memories stored before duplicate detection were
+                const stored = [];
+                for (const text of ['the dentist is on Friday', 'The dentist is on  Friday', 'the vet is on Monday']) {
+                    stored.push(await service.backend.store({ content: text, metadata: {}, tags: [] }));
+                }
+                const dryRun = await service.dedupeMemories({ dryRun: true });
+                const result = await service.dedupeMemories();
+                const remaining = (await service.backend.list({ limit: 10, offset: 0 })).memories.map(memory => memory.id);
+                this.logResult('Dedupe Memories', dryRun.groups === 1 && result.removed === 1 &&
+                    remaining.includes(stored[0].id) && !remaining.includes(stored[1].id) && remaining.length === 2,
+                    `Groups: ${dryRun.groups}, removed: ${result.removed}, remaining: ${remaining.length}`);
+            });
+        } catch (error) {
+            this.logResult('Dedupe Memories', false, `Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test expiring memories: ttl_seconds sets expires_at, invalid expiries are rejected,
+     * and the sweeper moves expired memories to the trash
+     */
+    async testExpiry() {
+        console.log('\n🔍 Testing Expiry...');
+
+        const storeResult = await this.storeTestMemory({ content: 'Expiry test memory - the parking permit runs out', ttl_seconds: 3600 });
+        const expiresIn = storeResult.success ? Date.parse(storeResult.data.memory.expires_at) - Date.now() : NaN;
+        this.logResult('Store With TTL', expiresIn > 3500 * 1000 && expiresIn <= 3600 * 1000,
+            storeResult.success ? `Expires at: ${storeResult.data.memory.expires_at}` : `Error: ${storeResult.details || storeResult.error}`);
+
+        const invalid = await this.makeRequest('POST', '/memory/store', {
+            headers: this.authHeaders(),
+            data: { content: 'Expiry test memory - never stored', expires_at: 'next week' }
+        });
+        const both = await this.makeRequest('POST', '/memory/store', {
+            headers: this.authHeaders(),
+            data: { content: 'Expiry test memory - never stored', expires_at: new Date(Date.now() + 60000).toISOString(), ttl_seconds: 60 }
+        });
+        this.logResult('Invalid Expiry', invalid.status === 400 && both.status === 400, `Status: ${invalid.status}, with both: ${both.status}`);
+
+        try {
+            await this.withMemoryService(async (service) => {
+                const { memory } = await service.storeMemory('the milk goes off today', {}, [], {}, { ttl_seconds: 1 });
+                await new Promise(resolve => setTimeout(resolve, 1100));
+                const hidden = (await service.listMemories(10, 0)).memories.length === 0;
+                await service.sweepExpired();
+                const trashed = await service.backend.getTrashed(memory.id);
+                this.logResult('Sweep Expired Memories', hidden && trashed !== null && service.expirySweep.removed === 1,
+                    `Hidden once expired: ${hidden}, in trash after sweep: ${trashed !== null}`);
+            });
+        } catch (error) {
+            this.logResult('Sweep Expired Memories', false, `Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test links between memories: creating and removing links, and walking the graph by depth and link type
+     */
+    async testLinks() {
+        console.log('\n🔍 Testing Links...');
+
+        const headers = this.authHeaders();
+        const ids = [];
+        for (const content of ['Link test memory - Alex moved to Berlin', 'Link test memory - Alex lives in Hamburg', 'Link test memory - Hamburg has a harbour']) {
+            const storeResult = await this.storeTestMemory({ content, tags: ['link_test'] });
+            if (!storeResult.success) {
+                this.logResult('Link Memories', false, `Error: ${storeResult.details || storeResult.error}`);
+                return;
+            }
+            ids.push(storeResult.data.memory_id);
+        }
+        const [moved, lived, harbour] = ids;
+
+        const supersedes = await this.makeRequest('POST', `/memory/${moved}/links`, { headers, data: { type: 'supersedes', target: lived } });
+        const related = await this.makeRequest('POST', `/memory/${lived}/links`, { headers, data: { type: 'related_to', target: harbour } });
+        const linksResult = await this.makeRequest('GET', `/memory/${lived}/links`, { headers });
+        this.logResult('Link Memories', supersedes.success && supersedes.data.created && related.success &&
+            linksResult.success && linksResult.data.total === 2,
+            linksResult.success ? `Links of the middle memory: ${linksResult.data.total}` : `Error: ${supersedes.details || related.details}`);
+
+        const invalid = await this.makeRequest('POST', `/memory/${moved}/links`, { headers, data: { type: 'Not A Type', target: lived } });
+        this.logResult('Invalid Link Type', invalid.status === 400, `Status: ${invalid.status}`);
+
+        const nodesOf = result => result.success ? result.data.nodes.map(node => node.id).sort() : [];
+        const shallow = await this.makeRequest('GET', `/memory/${moved}/graph?depth=1`, { headers });
+        const deep = await this.makeRequest('GET', `/memory/${moved}/graph?depth=2`, { headers });
+        const typed = await this.makeRequest('GET', `/memory/${moved}/graph?depth=2&types=supersedes`, { headers });
+        const passed = nodesOf(shallow).join() === [moved, lived].sort().join() &&
+            nodesOf(deep).join() === [moved, lived, harbour].sort().join() &&
+            nodesOf(typed).join() === [moved, lived].sort().join();
+        this.logResult('Memory Graph', passed,
+            `Nodes at depth 1: ${nodesOf(shallow).length}, depth 2: ${nodesOf(deep).length}, supersedes only: ${nodesOf(typed).length}`);
+
+        await this.makeRequest('DELETE', `/memory/${moved}/links/supersedes/${lived}`, { headers });
+        const afterUnlink = await this.makeRequest('GET', `/memory/${moved}/links`, { headers });
+        this.logResult('Unlink Memories', afterUnlink.success && afterUnlink.data.total === 0,
+            afterUnlink.success ? `Links left: ${afterUnlink.data.total}` : `Error: ${afterUnlink.details || afterUnlink.error}`);
+    }
+
+    /**
+     * Test ranking: pinned memories come before better matches, and importance must be between 0 and 1
+     */
+    async testRanking() {
+        console.log('\n🔍 Testing Ranking...');
+
+        const tag = `ranking_test_${Date.now()}`;
+        const relevant = await this.storeTestMemory({ content: 'Ranking test memory - quokka quokka quokka facts', tags: [tag], importance: 0.9 });
+        const pinned = await this.storeTestMemory({ content: 'Ranking test memory - one quokka note among many other words', tags: [tag], pinned: true });
+        if (!relevant.success || !pinned.success) {
+            this.logResult('Pinned First', false, `Error: ${(relevant.success ? pinned : relevant).details}`);
+            return;
+        }
+
+        const searchResult = await this.makeRequest('GET', `/memory/search?query=quokka&tags=${tag}`, { headers: this.authHeaders() });
+        const ranked = searchResult.success ? searchResult.data.memories.map(memory => memory.id) : [];
+        this.logResult('Pinned First', ranked[0] === pinned.data.memory_id && ranked[1] === relevant.data.memory_id,
+            searchResult.success ? `Results: ${ranked.length}, pinned first: ${ranked[0] === pinned.data.memory_id}` :
+                `Error: ${searchResult.details || searchResult.error}`);
+
+        const invalid = await this.makeRequest('POST', '/memory/store', {
+            headers: this.authHeaders(),
+            data: { content: 'Ranking test memory - never stored', importance: 1.5 }
+        });
+        this.logResult('Invalid Importance', invalid.status === 400, `Status: ${invalid.status}`);
+    }
+
+    /**
+     * Get an access token for a registered client through the authorization code flow
+     * @param {Object} client - Registration response {client_id, client_secret}
+     * @returns {Promise<string|null>} The access token, or null if the flow failed
+     */
+    async requestAccessToken(client) {
+        const authUrl = `${this.baseUrl}/oauth/authorize?client_id=${client.client_id}&response_type=code&redirect_uri=http://localhost:3000/callback&scope=read write`;
+        const response = await axios.get(authUrl, { maxRedirects: 0, validateStatus: () => true });
+        if (response.status !== 302 || !response.headers.location) {
+            return null;
+        }
+
+        const result = await this.makeRequest('POST', '/oauth/token', {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            data: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code: new URL(response.headers.location).searchParams.get('code'),
+                redirect_uri: 'http://localhost:3000/callback',
+                client_id: client.client_id,
+                client_secret: client.client_secret
+            }).toString()
+        });
+        return result.success ? result.data.access_token : null;
+    }
+
+    /**
+     * Test namespaces: creating and deleting them needs admin access, memories in one namespace are
+     * invisible in others, and tokens of a client limited to some namespaces cannot use the rest
+     */
+    async testNamespaces() {
+        console.log('\n🔍 Testing Namespaces...');
+
+        const name = `ns-test-${Date.now()}`;
+        if (this.accessToken) {
+            const denied = await this.makeRequest('POST', '/namespaces', { headers: this.authHeaders(), data: { name } });
+            this.logResult('Create Namespace Admin Only', denied.status === 403, `Status without admin scope: ${denied.status}`);
+        }
+        const adminHeaders = this.adminHeaders();
+        if (!adminHeaders) {
+            console.log('Skipping namespace requests; set API_KEY to the add-on\'s api_key to run them');
+            return;
+        }
+
+        const created = await this.makeRequest('POST', '/namespaces', { headers: adminHeaders, data: { name } });
+        this.logResult('Create Namespace', created.status === 201, created.success ? `Namespace: ${name}` : `Error: ${created.details || created.error}`);
+        if (!created.success) {
+            return;
+        }
+
+        const stored = await this.makeRequest('POST', `/ns/${name}/memory/store`, {
+            headers: adminHeaders,
+            data: { content: 'Namespace test memory - only visible in its namespace', tags: ['namespace_test'] }
+        });
+        const id = stored.success ? stored.data.memory_id : null;
+        const inNamespace = await this.makeRequest('GET', `/memory/${id}`, { headers: { ...adminHeaders, 'X-Memory-Namespace': name } });
+        const inDefault = await this.makeRequest('GET', `/memory/${id}`, { headers: adminHeaders });
+        this.logResult('Namespace Isolation', stored.success && inNamespace.success && inDefault.status === 404,
+            `Status in namespace: ${inNamespace.status}, in default namespace: ${inDefault.status}`);
+
+        const register = namespaces => this.makeRequest('POST', '/oauth/register', {
+            headers: adminHeaders,
+            data: { client_name: 'Namespace Test Client', redirect_uris: ['http://localhost:3000/callback'], namespaces }
+        });
+        const invalid = await register(['Not A Namespace']);
+        const unknown = await register([name, `${name}-missing`]);
+        this.logResult('Register Client With Unknown Namespace', invalid.status === 400 && unknown.status === 400,
+            `Status with an invalid name: ${invalid.status}, with a missing namespace: ${unknown.status}`);
+
+        const registration = await register([name]);
+        const token = registration.success ? await this.requestAccessToken(registration.data) : null;
+        if (token) {
+            const headers = { 'Authorization': `Bearer ${token}` };
+            const allowed = await this.makeRequest('GET', `/ns/${name}/memory/list`, { headers });
+            const denied = await this.makeRequest('GET', '/memory/list', { headers });
+            this.logResult('Namespace Limited Client', allowed.success && allowed.data.total === 1 && denied.status === 403,
+                `Status in its namespace: ${allowed.status}, in default namespace: ${denied.status}`);
+        } else {
+            this.logResult('Namespace Limited Client', false, `Error: ${registration.details || 'no access token'}`);
+        }
+
+        const notEmpty = await this.makeRequest('DELETE', `/namespaces/${name}`, { headers: adminHeaders });
+        const purged = await this.makeRequest('DELETE', `/namespaces/${name}?purge=true`, { headers: adminHeaders });
+        this.logResult('Delete Namespace', notEmpty.status === 409 && purged.success && purged.data.purged === 1,
+            `Status without purge: ${notEmpty.status}, purged: ${purged.success ? purged.data.purged : purged.details}`);
+    }
+
+    /**
+     * Test attachments: uploading files to a memory, downloading and removing them
+     */
+    async testAttachments() {
+        console.log('\n🔍 Testing Attachments...');
+
+        const storeResult = await this.storeTestMemory({ content: 'Attachment test memory - the boiler manual', tags: ['attachment_test'] });
+        if (!storeResult.success) {
+            this.logResult('Upload Attachment', false, `Error: ${storeResult.details || storeResult.error}`);
+            return;
+        }
+        const id = storeResult.data.memory_id;
+        const headers = this.authHeaders();
+        delete headers['Content-Type'];
+
+        const form = new FormData();
+        form.append('file', new Blob(['Turn the dial to 60 degrees'], { type: 'text/plain' }), 'boiler.txt');
+        const upload = await this.makeRequest('POST', `/memory/${id}/attachments`, { headers, data: form });
+        const attachment = upload.success ? upload.data.attachments[0] : null;
+        this.logResult('Upload Attachment', upload.status === 201 && attachment && attachment.filename === 'boiler.txt',
+            attachment ? `Attachment ID: ${attachment.id}` : `Error: ${upload.details || upload.error}`);
+        if (!attachment) {
+            return;
+        }
+
+        const download = await this.makeRequest('GET', `/memory/${id}/attachments/${attachment.id}`, { headers, responseType: 'text' });
+        this.logResult('Download Attachment', download.success && download.data === 'Turn the dial to 60 degrees',
+            download.success ? `Content: ${download.data}` : `Error: ${download.details || download.error}`);
+
+        await this.makeRequest('DELETE', `/memory/${id}/attachments/${attachment.id}`, { headers });
+        const listResult = await this.makeRequest('GET', `/memory/${id}/attachments`, { headers });
+        const removed = await this.makeRequest('GET', `/memory/${id}/attachments/${attachment.id}`, { headers });
+        this.logResult('Delete Attachment', listResult.success && listResult.data.total === 0 && removed.status === 404,
+            `Attachments left: ${listResult.success ? listResult.data.total : listResult.details}, download status: ${removed.status}`);
+    }
+
+    /**
+     * Test full-text ranking: only memories matching the query are returned, best match first with descending scores
+     */
+    async testFullTextRanking() {
+        console.log('\n🔍 Testing Full-Text Ranking...');
+
+        const tag = `bm25_test_${Date.now()}`;
+        const ids = [];
+        for (const content of ['Solar panel inverter warranty lasts ten years', 'Solar panel cleaning happens every spring', 'The garden shed key is blue']) {
+            const storeResult = await this.storeTestMemory({ content, tags: [tag] });
+            ids.push(storeResult.success ? storeResult.data.memory_id : null);
+        }
+
+        const searchResult = await this.makeRequest('GET', `/memory/search?query=${encodeURIComponent('inverter warranty solar')}&tags=${tag}`,
+            { headers: this.authHeaders() });
+        if (!searchResult.success) {
+            this.logResult('Full-Text Ranking', false, `Error: ${searchResult.details || searchResult.error}`);
+            return;
+        }
+        const { memories } = searchResult.data;
+        const scores = memories.map(memory => memory.score);
+        const sorted = scores.every((score, i) => score > 0 && (i === 0 || score <= scores[i - 1]));
+        this.logResult('Full-Text Ranking', memories.length === 2 && memories[0].id === ids[0] && memories[1].id === ids[1] && sorted,
+            `Results: ${memories.length}, scores: ${scores.map(score => Number(score).toFixed(3)).join(', ')}`);
+    }
+
+    /**
+     * Test semantic search: a misspelled query finds a memory by vector similarity where keyword search does not
+     */
+    async testSemanticSearch() {
+        console.log('\n🔍 Testing Semantic Search...');
+
+        const tag = `semantic_test_${Date.now()}`;
+        const storeResult = await this.storeTestMemory({ content: 'The thermostat schedule is set for winter', tags: [tag] });
+        if (!storeResult.success) {
+            this.logResult('Semantic Search', false, `Error: ${storeResult.details || storeResult.error}`);
+            return;
+        }
+
+        const query = encodeURIComponent('thermostaat shedule');
+        const keyword = await this.makeRequest('GET', `/memory/search?query=${query}&tags=${tag}&mode=keyword`, { headers: this.authHeaders() });
+        const semantic = await this.makeRequest('GET', `/memory/search?query=${query}&tags=${tag}&mode=semantic`, { headers: this.authHeaders() });
+        const match = semantic.success ? semantic.data.memories[0] : null;
+        this.logResult('Semantic Search', keyword.success && keyword.data.total === 0 && match &&
+            match.id === storeResult.data.memory_id && match.similarity > 0,
+            semantic.success ? `Keyword results: ${keyword.data && keyword.data.total}, similarity: ${match && match.similarity}` :
+                `Error: ${semantic.details || semantic.error}`);
+
+        const unknownMode = await this.makeRequest('GET', `/memory/search?query=${query}&mode=psychic`, { headers: this.authHeaders() });
+        this.logResult('Unknown Search Mode', unknownMode.status === 400, `Status: ${unknownMode.status}`);
+    }
+
+    /**
+     * Test structured queries: phrases, fields and negation decide which memories match,
+     * and malformed queries are rejected with the position of the error
+     */
+    async testStructuredQueries() {
+        console.log('\n🔍 Testing Structured Queries...');
+
+        const tag = `query_test_${Date.now()}`;
+        const sink = await this.storeTestMemory({ content: 'Query test memory - the plumber fixed the kitchen sink', tags: [tag, 'plumbing'] });
+        const light = await this.storeTestMemory({ content: 'Query test memory - the kitchen light is broken', tags: [tag] });
+        if (!sink.success || !light.success) {
+            this.logResult('Structured Query', false, `Error: ${(sink.success ? light : sink).details}`);
+            return;
+        }
+
+        const search = query => this.makeRequest('GET', `/memory/search?query=${encodeURIComponent(query)}`, { headers: this.authHeaders() });
+        const idsOf = result => result.success ? result.data.memories.map(memory => memory.id) : [];
+        const phrase = await search(`tag:${tag} "kitchen sink"`);
+        const negated = await search(`tag:${tag} kitchen -tag:plumbing`);
+        this.logResult('Structured Query', idsOf(phrase).join() === sink.data.memory_id && idsOf(negated).join() === light.data.memory_id,
+            phrase.success && negated.success ? `Phrase results: ${idsOf(phrase).length}, negated results: ${idsOf(negated).length}` :
+                `Error: ${phrase.details || negated.details}`);
+
+        const malformed = await search('kitchen AND (sink');
+        this.logResult('Query Syntax Error', malformed.status === 400 && Number.isInteger(malformed.error.position),
+            `Status: ${malformed.status}, position: ${malformed.error && malformed.error.position}`);
+
+        // Both local backends must stem and match words alike, with and without a filter
+        try {
+            const { createBackend } = require(path.join(APP_DIR, 'backends'));
+            const { parseQuery } = require(path.join(APP_DIR, 'backends', 'search-query'));
+            const contents = ['She is caring for the cat', 'Take care of the car', 'The cars are parked outside',
+                'Dinner in the evening', 'Even numbers only', 'A string of lights', 'Street lights are on'];
+            const queries = ['caring', '"caring"', 'cars', '"even"', 'evening -cat', 'string OR str', 'NOT (care OR lights)'];
+            const results = {};
+            for (const name of ['json_file', 'sqlite']) {
+                await this.withDataDir(async (dataDir) => {
+                    const backend = createBackend(name, { dataDir });
+                    await backend.open();
+                    for (const content of contents) {
+                        await backend.store({ content, metadata: {}, tags: [] });
+                    }
+                    results[name] = [];
+                    for (const query of queries) {
+                        const { text, filter } = parseQuery(query);
+                        const found = await backend.search({ query: text, filter, tags: [], limit: 100, namespace: null, mode: 'keyword' });
+                        results[name].push(found.map(memory => contents.indexOf(memory.content)).sort());
+                    }
+                    await backend.close();
+                });
+            }
+            const [caring, caringPhrase] = results.json_file;
+            const same = JSON.stringify(results.json_file) === JSON.stringify(results.sqlite);
+            this.logResult('Structured Query Backend Parity', same && caring.join() === '0,1' && caringPhrase.join() === '0,1',
+                `json_file: ${JSON.stringify(results.json_file)}, sqlite: ${JSON.stringify(results.sqlite)}`);
+        } catch (error) {
+            this.logResult('Structured Query Backend Parity', false, `Error: ${error.message}`);
+        }
+    }
+
     /**
      * Clean up test memories
      */
@@ -353,7 +1570,7 @@ class MCPMemoryServiceTester {
         let cleanedCount = 0;
         for (const memory of this.testMemories) {
             const result = await this.makeRequest('DELETE', `/memory/${memory.id}`, {
-                headers: this.accessToken ? { 'Authorization': `Bearer ${this.accessToken}` } : {}
+                headers: this.authHeaders()
             });
             
             if (result.success) {
@@ -441,6 +1658,32 @@ class MCPMemoryServiceTester {
             
             // Memory operations with API key (if applicable)
             await this.testMemoryOperationsWithAPIKey();
+
+            // Storage and memory features
+            await this.testStorageBackends();
+            await this.testMcpServiceBackend();
+            await this.testAtomicPersistence();
+            await this.testJournal();
+            await this.testMemoryIds();
+            await this.testSchemaMigration();
+            await this.testWriteCoalescing();
+            await this.testEncryption();
+            await this.testSnapshots();
+            await this.testGetMemory();
+            await this.testUpdateMemory();
+            await this.testRevisions();
+            await this.testTrash();
+            await this.testBatchStore();
+            await this.testBulkOperations();
+            await this.testDeduplication();
+            await this.testExpiry();
+            await this.testLinks();
+            await this.testRanking();
+            await this.testNamespaces();
+            await this.testAttachments();
+            await this.testFullTextRanking();
+            await this.testSemanticSearch();
+            await this.testStructuredQueries();
             
             // Cleanup
             await this.cleanupTestMemories();
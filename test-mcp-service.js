@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Fake MCP Memory Service for testing the HTTP wrapper bridge
+ * Mimics the subset of the Python mcp_memory_service HTTP API the wrapper uses
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+
+const app = express();
+const PORT = process.env.PORT || 8081;
+
+app.use(express.json({ limit: '10mb' }));
+
+const memories = new Map();
+
+/**
+ * Serialize a stored memory the way the Python service does
+ * @param {Object} memory - Stored memory record
+ * @returns {Object} Memory in the service API format
+ */
+function toServiceMemory(memory) {
+    return {
+        content: memory.content,
+        content_hash: memory.content_hash,
+        tags: memory.tags,
+        memory_type: memory.memory_type,
+        metadata: memory.metadata,
+        created_at: memory.created_at,
+        created_at_iso: new Date(memory.created_at * 1000).toISOString(),
+        updated_at: memory.updated_at,
+        updated_at_iso: new Date(memory.updated_at * 1000).toISOString()
+    };
+}
+
+/**
+ * Health endpoints
+ */
+app.get('/api/health', (req, res) => {
+    res.json({ status: 'healthy', version: 'fake', timestamp: new Date().toISOString() });
+});
+
+app.get('/api/health/detailed', (req, res) => {
+    res.json({
+        status: 'healthy',
+        version: 'fake',
+        storage: {
+            backend: 'fake',
+            total_memories: memories.size
+        }
+    });
+});
+
+/**
+ * Store a memory
+ */
+app.post('/api/memories', (req, res) => {
+    const { content, tags = [], metadata = {}, memory_type = 'note' } = req.body;
+    if (!content) {
+        return res.status(422).json({ detail: 'content is required' });
+    }
+
+    const contentHash = crypto.createHash('sha256').update(content).digest('hex');
+    if (memories.has(contentHash)) {
+        return res.json({ success: false, message: 'Duplicate content detected', content_hash: contentHash });
+    }
+
+    const now = Date.now() / 1000;
+    const memory = { content, content_hash: contentHash, tags, metadata, memory_type, created_at: now, updated_at: now };
+    memories.set(contentHash, memory);
+    res.json({ success: true, message: 'Memory stored successfully', content_hash: contentHash, memory: toServiceMemory(memory) });
+});
+
+/**
+ * List memories with page based pagination
+ */
+app.get('/api/memories', (req, res) => {
+    const page = parseInt(req.query.page || '1');
+    const pageSize = parseInt(req.query.page_size || '10');
+    const sorted = [...memories.values()].sort((a, b) => b.created_at - a.created_at);
+    const start = (page - 1) * pageSize;
+    res.json({
+        memories: sorted.slice(start, start + pageSize).map(toServiceMemory),
+        total: sorted.length,
+        page,
+        page_size: pageSize,
+        has_more: start + pageSize < sorted.length
+    });
+});
+
+/**
+ * Get a memory by content hash
+ */
+app.get('/api/memories/:hash', (req, res) => {
+    const memory = memories.get(req.params.hash);
+    if (!memory) {
+        return res.status(404).json({ detail: 'Memory not found' });
+    }
+    res.json(toServiceMemory(memory));
+});
+
+/**
+ * Delete a memory by content hash
+ */
+app.delete('/api/memories/:hash', (req, res) => {
+    if (!memories.delete(req.params.hash)) {
+        return res.status(404).json({ detail: 'Memory not found' });
+    }
+    res.json({ success: true, message: 'Memory deleted successfully', content_hash: req.params.hash });
+});
+
+/**
+ * Semantic search (substring match stands in for embeddings)
+ */
+app.post('/api/search', (req, res) => {
+    const { query = '', n_results = 5 } = req.body;
+    const term = query.toLowerCase();
+    const results = [...memories.values()]
+        .filter(memory => memory.content.toLowerCase().includes(term))
+        .slice(0, n_results)
+        .map(memory => ({ memory: toServiceMemory(memory), similarity_score: 0.9, relevance_reason: 'fake match' }));
+    res.json({ results, total_found: results.length, query });
+});
+
+/**
+ * Tag search
+ */
+app.post('/api/search/by-tag', (req, res) => {
+    const { tags = [], match_all = false } = req.body;
+    const results = [...memories.values()]
+        .filter(memory => match_all
+            ? tags.every(tag => memory.tags.includes(tag))
+            : tags.some(tag => memory.tags.includes(tag)))
+        .map(memory => ({ memory: toServiceMemory(memory), similarity_score: 1, relevance_reason: 'tag match' }));
+    res.json({ results, total_found: results.length });
+});
+
+// PORT=0 picks a free port; the port in use is logged, which test-api.js reads
+const server = app.listen(PORT, () => {
+    const { port } = server.address();
+    console.log(`🧪 Fake MCP Memory Service running on port ${port}`);
+    console.log(`🔗 Point the wrapper at it with MCP_SERVICE_URL=http://localhost:${port}`);
+});
+
+process.on('SIGTERM', () => process.exit(0));
+process.on('SIGINT', () => process.exit(0));